@@ -0,0 +1,164 @@
+// batchTranslator.js
+// Translates many short cue texts with few provider calls: neighbouring cues
+// are packed into one request between numbered markers ([[0]] ... [[1]] ...)
+// so the engine sees their context, batches run in parallel under a limit,
+// and results are split back on the markers. A batch whose markers do not
+// come back intact is translated again cue by cue.
+
+const DEFAULTS = {
+  maxChars: Number(process.env.TRANSLATE_BATCH_CHARS) || 450,
+  maxCues: Number(process.env.TRANSLATE_BATCH_CUES) || 12,
+  concurrency: Number(process.env.TRANSLATE_CONCURRENCY) || 4,
+};
+
+const marker = (i) => `[[${i}]]`;
+const MARKER = /\[\[\s*(\d+)\s*\]\]/g;
+
+// Size of text as the k-th cue of a packed request, in characters and in
+// UTF-8 bytes (which also counts the "\n" between cues)
+const packedCost = (text, k) => ({
+  chars: text.length + marker(k).length + 1,
+  bytes: Buffer.byteLength(text, "utf8") + marker(k).length + 2,
+});
+
+/**
+ * Group consecutive texts into batches of at most maxCues / maxChars, and
+ * maxBytes when set (for providers that cap requests in bytes)
+ */
+function packBatches(texts, { maxChars, maxCues, maxBytes }) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  let bytes = 0;
+  texts.forEach((text, index) => {
+    let cost = packedCost(text, current.length);
+    if (
+      current.length &&
+      (current.length >= maxCues ||
+        size + cost.chars > maxChars ||
+        (maxBytes && bytes + cost.bytes > maxBytes))
+    ) {
+      batches.push(current);
+      current = [];
+      size = 0;
+      bytes = 0;
+      cost = packedCost(text, 0);
+    }
+    current.push(index);
+    size += cost.chars;
+    bytes += cost.bytes;
+  });
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Split a translated batch back into `count` texts, or null when markers are
+ * missing, duplicated or out of order.
+ */
+function unpackBatch(translated, count) {
+  const parts = [];
+  let expected = 0;
+  let last = null;
+  let m;
+  MARKER.lastIndex = 0;
+  const text = String(translated || "");
+  while ((m = MARKER.exec(text))) {
+    if (Number(m[1]) !== expected) return null;
+    if (last) parts.push(text.slice(last.end, m.index));
+    last = { end: m.index + m[0].length };
+    expected++;
+  }
+  if (!last || expected !== count) return null;
+  parts.push(text.slice(last.end));
+  const cleaned = parts.map((p) => p.replace(/\s+/g, " ").trim());
+  return cleaned.some((p) => !p) ? null : cleaned;
+}
+
+// Run `worker` over items with at most `limit` running at once
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await worker(items[i], i);
+      }
+    }
+  );
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Translate `texts` with `translateOne(text) → Promise<string>`, returning the
+ * translations in the same order plus batch stats:
+ * { texts, stats: { cues, batches, fallbackBatches } }.
+ * Cue line breaks are flattened; callers re-wrap the translated cues.
+ */
+async function translateInBatches(texts, translateOne, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const flat = texts.map((t) =>
+    String(t || "")
+      .replace(/\s*\n\s*/g, " ")
+      .trim()
+  );
+  const out = flat.slice();
+  const todo = flat.map((t, i) => i).filter((i) => flat[i]);
+  const batches = packBatches(
+    todo.map((i) => flat[i]),
+    opts
+  ).map((batch) => batch.map((k) => todo[k]));
+  const stats = {
+    cues: todo.length,
+    batches: batches.length,
+    fallbackBatches: 0,
+  };
+
+  const one = async (i) => {
+    try {
+      const t = await translateOne(flat[i]);
+      return typeof t === "string" && t.trim() ? t.trim() : flat[i];
+    } catch (err) {
+      console.warn(
+        "⚠️ Cue translation failed:",
+        err && err.message ? err.message : err
+      );
+      return flat[i];
+    }
+  };
+
+  await mapWithConcurrency(batches, opts.concurrency, async (batch) => {
+    if (batch.length === 1) {
+      out[batch[0]] = await one(batch[0]);
+      return;
+    }
+    let parts = null;
+    try {
+      const packed = batch.map((i, k) => `${marker(k)} ${flat[i]}`).join("\n");
+      parts = unpackBatch(await translateOne(packed), batch.length);
+    } catch (err) {
+      console.warn(
+        "⚠️ Batch translation failed:",
+        err && err.message ? err.message : err
+      );
+    }
+    if (parts) {
+      batch.forEach((i, k) => (out[i] = parts[k]));
+      return;
+    }
+    // misaligned or failed: keep the cue boundaries by going one by one
+    stats.fallbackBatches++;
+    for (const i of batch) out[i] = await one(i);
+  });
+
+  return { texts: out, stats };
+}
+
+module.exports = {
+  packBatches,
+  unpackBatch,
+  translateInBatches,
+};
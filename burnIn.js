@@ -0,0 +1,56 @@
+// burnIn.js
+// Hard-subs a video with ffmpeg's `ass` filter so captions keep the ASS style
+// (font, colors, outline, position) of the chosen preset.
+const path = require("path");
+const { runFfmpeg } = require("./ffmpeg");
+
+const RENDER_PRESET = process.env.RENDER_PRESET || "veryfast";
+const RENDER_CRF = process.env.RENDER_CRF || "20";
+
+/**
+ * Burn `subtitlePath` (an .ass file) into `inputPath`, writing an H.264/AAC
+ * MP4 to `outputPath`. `onProgress(fraction)` is called as ffmpeg reports
+ * its position; `duration` (seconds) is read from ffmpeg when not given.
+ */
+function burnSubtitles({
+  inputPath,
+  subtitlePath,
+  outputPath,
+  duration = null,
+  onProgress = null,
+}) {
+  // the filter argument has its own escaping rules: run next to the
+  // subtitle file and refer to it by its (plain) file name
+  return runFfmpeg(
+    [
+      "-i",
+      path.resolve(inputPath),
+      "-vf",
+      `ass=${path.basename(subtitlePath)}`,
+      "-c:v",
+      "libx264",
+      "-preset",
+      RENDER_PRESET,
+      "-crf",
+      String(RENDER_CRF),
+      "-pix_fmt",
+      "yuv420p",
+      "-c:a",
+      "aac",
+      "-b:a",
+      "160k",
+      "-movflags",
+      "+faststart",
+      path.resolve(outputPath),
+    ],
+    {
+      cwd: path.dirname(path.resolve(subtitlePath)),
+      duration,
+      onProgress,
+    }
+  );
+}
+
+module.exports = {
+  burnSubtitles,
+};
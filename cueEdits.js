@@ -0,0 +1,324 @@
+// cueEdits.js
+// Edits on a transcript's cues (edit, insert, delete, merge, split) and a
+// cue-by-cue diff of two versions. Nothing here mutates its input: every
+// operation returns a new cue list. Cues whose text or timing change lose
+// their per-word timing, which no longer matches them.
+const { joinTokens, breakUnits } = require("./textScripts");
+
+const OPERATIONS = ["edit", "insert", "delete", "merge", "split"];
+
+const round = (t) => Math.round(t * 1000) / 1000;
+
+function cueIndex(cues, value, { allowEnd = false } = {}) {
+  const index = Number(value);
+  const max = allowEnd ? cues.length : cues.length - 1;
+  if (!Number.isInteger(index) || index < 0 || index > max)
+    throw new Error(`No cue at index ${value}`);
+  return index;
+}
+
+function cueTime(value, name) {
+  const t = Number(value);
+  if (value === null || value === "" || !Number.isFinite(t) || t < 0)
+    throw new Error(`${name} must be a time in seconds`);
+  return t;
+}
+
+function cueText(value) {
+  const text = String(value === undefined || value === null ? "" : value)
+    .replace(/\r\n?/g, "\n")
+    .trim();
+  if (!text) throw new Error("text required");
+  return text;
+}
+
+function checkTiming(cue) {
+  if (!(cue.end > cue.start)) throw new Error("end must be after start");
+  return cue;
+}
+
+function withoutWordTiming(cue) {
+  const { words, ...rest } = cue;
+  return rest;
+}
+
+const flatText = (text) => String(text || "").replace(/\s*\n\s*/g, " ");
+
+// { op: "edit", index, text?, start?, end?, speaker? } (speaker null removes it)
+function editCue(cues, op) {
+  const index = cueIndex(cues, op.index);
+  const before = cues[index];
+  let cue = { ...before };
+  if (op.text !== undefined) cue.text = cueText(op.text);
+  if (op.start !== undefined) cue.start = cueTime(op.start, "start");
+  if (op.end !== undefined) cue.end = cueTime(op.end, "end");
+  if (op.speaker !== undefined) {
+    if (op.speaker === null || op.speaker === "") delete cue.speaker;
+    else cue.speaker = String(op.speaker);
+  }
+  if (
+    cue.text !== before.text ||
+    cue.start !== before.start ||
+    cue.end !== before.end
+  )
+    cue = withoutWordTiming(cue);
+  const out = cues.slice();
+  out[index] = checkTiming(cue);
+  return out;
+}
+
+// { op: "insert", index?, start, end, text, speaker? } (index defaults to the end)
+function insertCue(cues, op) {
+  const index =
+    op.index === undefined
+      ? cues.length
+      : cueIndex(cues, op.index, { allowEnd: true });
+  const cue = checkTiming({
+    start: cueTime(op.start, "start"),
+    end: cueTime(op.end, "end"),
+    text: cueText(op.text),
+  });
+  if (op.speaker) cue.speaker = String(op.speaker);
+  const out = cues.slice();
+  out.splice(index, 0, cue);
+  return out;
+}
+
+// { op: "delete", index }
+function deleteCue(cues, op) {
+  const index = cueIndex(cues, op.index);
+  return cues.filter((_, i) => i !== index);
+}
+
+// { op: "merge", index, count? }: cue `index` and the count - 1 after it
+// (2 by default) become one cue; the first cue's speaker wins
+function mergeCues(cues, op) {
+  const index = cueIndex(cues, op.index);
+  const count = op.count === undefined ? 2 : Number(op.count);
+  if (!Number.isInteger(count) || count < 2)
+    throw new Error("count must be at least 2");
+  if (index + count > cues.length)
+    throw new Error(`Cannot merge ${count} cues from index ${index}`);
+  const group = cues.slice(index, index + count);
+  const merged = {
+    ...withoutWordTiming(group[0]),
+    start: Math.min(...group.map((c) => c.start)),
+    end: Math.max(...group.map((c) => c.end)),
+    text: joinTokens(group.map((c) => flatText(c.text))),
+  };
+  if (group.every((c) => Array.isArray(c.words)))
+    merged.words = group.flatMap((c) => c.words);
+  const out = cues.slice();
+  out.splice(index, count, merged);
+  return out;
+}
+
+// Offsets in `text` where it may be split (between words, see breakUnits)
+function splitPoints(text) {
+  const points = [];
+  let offset = 0;
+  for (const unit of breakUnits(text)) {
+    if (offset > 0) points.push(offset + (unit.startsWith(" ") ? 1 : 0));
+    offset += unit.length;
+  }
+  return points;
+}
+
+// { op: "split", index, at?, position? }: `position` is the character offset
+// in the cue text, `at` the time (seconds) where the second cue starts.
+// Without a position the text is split between the words nearest to `at`,
+// or to the middle; without `at` the time follows the text split.
+function splitCue(cues, op) {
+  const index = cueIndex(cues, op.index);
+  const cue = cues[index];
+  const text = flatText(cue.text).trim();
+  const duration = cue.end - cue.start;
+
+  let at = null;
+  if (op.at !== undefined && op.at !== null) {
+    at = cueTime(op.at, "at");
+    if (at <= cue.start || at >= cue.end)
+      throw new Error("at must fall inside the cue");
+  }
+
+  let position;
+  if (op.position !== undefined && op.position !== null) {
+    position = Number(op.position);
+    if (!Number.isInteger(position) || position <= 0 || position >= text.length)
+      throw new Error("position must fall inside the cue text");
+  } else {
+    const points = splitPoints(text);
+    if (!points.length)
+      throw new Error("Cue has a single word: pass a position to split it");
+    const wanted =
+      at === null
+        ? text.length / 2
+        : (text.length * (at - cue.start)) / duration;
+    position = points.reduce((best, p) =>
+      Math.abs(p - wanted) < Math.abs(best - wanted) ? p : best
+    );
+  }
+
+  const left = text.slice(0, position).trim();
+  const right = text.slice(position).trim();
+  if (!left || !right) throw new Error("Split would leave an empty cue");
+  if (at === null) at = round(cue.start + (duration * position) / text.length);
+
+  const first = { ...withoutWordTiming(cue), end: at, text: left };
+  const second = { ...withoutWordTiming(cue), start: at, text: right };
+  if (Array.isArray(cue.words)) {
+    first.words = cue.words.filter((w) => w.start < at);
+    second.words = cue.words.filter((w) => w.start >= at);
+  }
+  const out = cues.slice();
+  out.splice(index, 1, first, second);
+  return out;
+}
+
+const APPLY = {
+  edit: editCue,
+  insert: insertCue,
+  delete: deleteCue,
+  merge: mergeCues,
+  split: splitCue,
+};
+
+/**
+ * Apply `operations` ([{ op, ...fields }], see the functions above) in
+ * order; indexes refer to the cues as left by the previous operation.
+ * Throws naming the failing operation.
+ */
+function applyCueEdits(cues, operations) {
+  if (!Array.isArray(operations) || !operations.length)
+    throw new Error("operations must be a non-empty array");
+  return operations.reduce(
+    (current, op, i) => {
+      const name = op && op.op;
+      if (!OPERATIONS.includes(name))
+        throw new Error(
+          `operation ${i + 1}: op must be one of ${OPERATIONS.join(", ")}`
+        );
+      try {
+        return APPLY[name](current, op);
+      } catch (err) {
+        throw new Error(`operation ${i + 1} (${name}): ${err.message}`);
+      }
+    },
+    Array.isArray(cues) ? cues : []
+  );
+}
+
+const CUE_FIELDS = ["start", "end", "text", "speaker"];
+
+const sameCue = (a, b) => CUE_FIELDS.every((f) => a[f] === b[f]);
+
+const shown = (cue) => {
+  const out = {};
+  for (const f of CUE_FIELDS) if (cue[f] !== undefined) out[f] = cue[f];
+  return out;
+};
+
+/**
+ * Differences from cues `a` to cues `b`: unchanged cues are matched by a
+ * longest common subsequence; between matches, a removed cue and an added
+ * cue that overlap in time pair up as "changed" (with the fields that
+ * differ). Returns { changes: [{ type, fromIndex, toIndex, before, after,
+ * fields }], summary: { added, removed, changed, unchanged } }.
+ */
+function diffCues(a, b) {
+  const from = Array.isArray(a) ? a : [];
+  const to = Array.isArray(b) ? b : [];
+
+  // common prefix/suffix first keeps the LCS table small for typical edits
+  let head = 0;
+  while (
+    head < from.length &&
+    head < to.length &&
+    sameCue(from[head], to[head])
+  )
+    head++;
+  let tail = 0;
+  while (
+    tail < from.length - head &&
+    tail < to.length - head &&
+    sameCue(from[from.length - 1 - tail], to[to.length - 1 - tail])
+  )
+    tail++;
+  const x = from.slice(head, from.length - tail);
+  const y = to.slice(head, to.length - tail);
+
+  const width = y.length + 1;
+  const lcs = new Uint32Array((x.length + 1) * width);
+  for (let i = x.length - 1; i >= 0; i--)
+    for (let j = y.length - 1; j >= 0; j--)
+      lcs[i * width + j] = sameCue(x[i], y[j])
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+
+  const changes = [];
+  let removed = [];
+  let added = [];
+  const overlaps = (p, q) => p.start < q.end && q.start < p.end;
+  const flush = () => {
+    // a removed cue pairs with the next added cue it overlaps in time
+    let k = 0;
+    for (const r of removed) {
+      const before = from[r];
+      let p = k;
+      while (p < added.length && !overlaps(before, to[added[p]])) p++;
+      if (p === added.length) {
+        changes.push({ type: "removed", fromIndex: r, before: shown(before) });
+        continue;
+      }
+      for (const a of added.slice(k, p))
+        changes.push({ type: "added", toIndex: a, after: shown(to[a]) });
+      const after = to[added[p]];
+      changes.push({
+        type: "changed",
+        fromIndex: r,
+        toIndex: added[p],
+        before: shown(before),
+        after: shown(after),
+        fields: CUE_FIELDS.filter((f) => before[f] !== after[f]),
+      });
+      k = p + 1;
+    }
+    for (const a of added.slice(k))
+      changes.push({ type: "added", toIndex: a, after: shown(to[a]) });
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && sameCue(x[i], y[j])) {
+      flush();
+      i++;
+      j++;
+    } else if (
+      j >= y.length ||
+      (i < x.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])
+    ) {
+      removed.push(head + i++);
+    } else {
+      added.push(head + j++);
+    }
+  }
+  flush();
+
+  const count = (type) => changes.filter((c) => c.type === type).length;
+  const summary = {
+    added: count("added"),
+    removed: count("removed"),
+    changed: count("changed"),
+  };
+  summary.unchanged = from.length - summary.removed - summary.changed;
+  return { changes, summary };
+}
+
+module.exports = {
+  OPERATIONS,
+  applyCueEdits,
+  diffCues,
+};
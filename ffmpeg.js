@@ -0,0 +1,78 @@
+// ffmpeg.js
+// Runs ffmpeg with machine-readable progress for the render and mux jobs
+const { spawn } = require("child_process");
+
+const FFMPEG_BIN = process.env.FFMPEG_BIN || "ffmpeg";
+
+// "00:01:02.50" → 62.5
+function parseClock(value) {
+  const m = String(value || "").match(/(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (!m) return null;
+  return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+/**
+ * Run ffmpeg with `args` (output last). `onProgress(fraction)` is called as
+ * ffmpeg reports its position; `duration` (seconds) is read from ffmpeg's
+ * input summary when not given. Rejects with the tail of ffmpeg's log.
+ */
+function runFfmpeg(args, { cwd, duration = null, onProgress = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const output = args[args.length - 1];
+    const child = spawn(
+      FFMPEG_BIN,
+      [
+        "-hide_banner",
+        "-y",
+        ...args.slice(0, -1),
+        "-progress",
+        "pipe:1",
+        "-nostats",
+        output,
+      ],
+      { cwd }
+    );
+
+    let total = Number(duration) > 0 ? Number(duration) : null;
+    let stderr = "";
+    let buffered = "";
+
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-4000);
+      if (!total) {
+        const m = stderr.match(/Duration:\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/);
+        if (m) total = parseClock(m[1]);
+      }
+    });
+
+    // -progress writes key=value lines; out_time_us is the encoder position
+    child.stdout.on("data", (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      for (const line of lines) {
+        const m = line.match(/^out_time_(?:us|ms)=(\d+)/);
+        if (m && total && typeof onProgress === "function")
+          onProgress(Math.min(1, Number(m[1]) / 1e6 / total));
+      }
+    });
+
+    child.on("error", (err) =>
+      reject(
+        new Error(
+          `Could not start ${FFMPEG_BIN} (${err.message}). Install ffmpeg or set FFMPEG_BIN.`
+        )
+      )
+    );
+    child.on("close", (code) => {
+      if (code === 0) return resolve(output);
+      const tail = stderr.trim().split("\n").slice(-3).join(" | ");
+      reject(new Error(`ffmpeg exited with code ${code}: ${tail}`));
+    });
+  });
+}
+
+module.exports = {
+  FFMPEG_BIN,
+  runFfmpeg,
+};
@@ -0,0 +1,177 @@
+// glossaries.js
+// Named glossaries (one per project) stored in DATA_DIR/glossaries.json:
+// { terms: [{ source, targets: { fr: "...", ... } }], protected: [...] }.
+// Before a provider call the terms in a cue are swapped for placeholder
+// tokens the engines leave alone; afterwards the tokens become the forced
+// target term (or the protected term, untouched).
+const path = require("path");
+const { dataDir, readJson, writeJson } = require("./jsonStore");
+
+const glossariesFile = path.join(dataDir, "glossaries.json");
+
+const token = (i) => `__T${i}__`;
+// engines sometimes space out or re-case the tokens
+const TOKEN = /_{1,2}\s*T\s*(\d+)\s*_{1,2}/gi;
+
+function loadGlossaries() {
+  const stored = readJson(glossariesFile, {});
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+function cleanTerm(value, what) {
+  const term = String(value || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!term) throw new Error(`Empty ${what}`);
+  if (term.length > 200) throw new Error(`${what} too long: ${term}`);
+  return term;
+}
+
+/** Validate a glossary body; returns { terms, protected } or throws */
+function validateGlossary(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    throw new Error("glossary must be an object with terms / protected");
+  const terms = body.terms || [];
+  const protectedTerms = body.protected || [];
+  if (!Array.isArray(terms) || !Array.isArray(protectedTerms))
+    throw new Error("terms and protected must be arrays");
+  return {
+    terms: terms.map((t) => {
+      if (!t || typeof t.targets !== "object" || Array.isArray(t.targets))
+        throw new Error("Each term needs { source, targets: { lang: term } }");
+      const targets = {};
+      for (const [lang, target] of Object.entries(t.targets))
+        targets[lang.trim().toLowerCase()] = cleanTerm(target, "target term");
+      return { source: cleanTerm(t.source, "source term"), targets };
+    }),
+    protected: [
+      ...new Set(protectedTerms.map((t) => cleanTerm(t, "protected term"))),
+    ],
+  };
+}
+
+function listGlossaries() {
+  return loadGlossaries();
+}
+
+// own keys only: "constructor" and friends are not glossaries
+function getGlossary(name) {
+  const stored = loadGlossaries();
+  const key = normalizeName(name);
+  return Object.hasOwn(stored, key) ? stored[key] : null;
+}
+
+/** Create or replace a glossary */
+function saveGlossary(name, body) {
+  const key = normalizeName(name);
+  if (!/^[a-z0-9_-]{1,64}$/.test(key) || key === "__proto__")
+    throw new Error("Glossary name must be 1-64 chars of a-z, 0-9, _ or -");
+  const stored = loadGlossaries();
+  const now = new Date().toISOString();
+  stored[key] = {
+    ...validateGlossary(body),
+    createdAt: (Object.hasOwn(stored, key) && stored[key].createdAt) || now,
+    updatedAt: now,
+  };
+  writeJson(glossariesFile, stored);
+  return stored[key];
+}
+
+/** Remove a glossary; returns false when there was none */
+function deleteGlossary(name) {
+  const key = normalizeName(name);
+  const stored = loadGlossaries();
+  if (!Object.hasOwn(stored, key)) return false;
+  delete stored[key];
+  writeJson(glossariesFile, stored);
+  return true;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive match that also works outside ASCII
+function termPattern(term) {
+  const body = escapeRegExp(term).replace(/ /g, "\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, "giu");
+}
+
+/**
+ * Terms of `glossary` that apply when translating into `targetLang`,
+ * longest first so "Black Friday Sale" wins over "Black Friday".
+ */
+function rulesFor(glossary, targetLang) {
+  const lang = String(targetLang || "").toLowerCase();
+  const base = lang.split(/[-_]/)[0];
+  const rules = [];
+  for (const term of glossary.terms || []) {
+    const target = term.targets[lang] || term.targets[base];
+    if (target) rules.push({ source: term.source, target, kind: "glossary" });
+  }
+  for (const term of glossary.protected || [])
+    rules.push({ source: term, target: null, kind: "protected" });
+  return rules.sort((a, b) => b.source.length - a.source.length);
+}
+
+/**
+ * Swap glossary and protected terms in `text` for placeholder tokens.
+ * Returns { text, terms: [{ source, target, kind }] } where terms[i] is
+ * behind token i; protected terms come back exactly as written.
+ */
+function maskTerms(text, glossary, targetLang) {
+  const terms = [];
+  let masked = String(text || "");
+  for (const rule of rulesFor(glossary, targetLang)) {
+    masked = masked.replace(termPattern(rule.source), (found) => {
+      terms.push({
+        source: rule.source,
+        target: rule.target || found,
+        kind: rule.kind,
+      });
+      return token(terms.length - 1);
+    });
+  }
+  return { text: masked, terms };
+}
+
+/**
+ * Put the terms back into a translated masked text. Returns { text, missing }
+ * where `missing` lists the terms whose token the provider dropped.
+ */
+function restoreTerms(translated, terms) {
+  const seen = new Set();
+  const text = String(translated || "").replace(TOKEN, (found, i) => {
+    const term = terms[Number(i)];
+    if (!term) return found;
+    seen.add(Number(i));
+    return term.target;
+  });
+  return { text, missing: terms.filter((t, i) => !seen.has(i)) };
+}
+
+/**
+ * Terms that should appear in the translation of `source` but do not (used
+ * for translations that never went through maskTerms)
+ */
+function unenforcedTerms(source, translated, glossary, targetLang) {
+  const { terms } = maskTerms(source, glossary, targetLang);
+  const out = String(translated || "").toLowerCase();
+  return terms.filter((t) => !out.includes(t.target.toLowerCase()));
+}
+
+module.exports = {
+  listGlossaries,
+  getGlossary,
+  saveGlossary,
+  deleteGlossary,
+  maskTerms,
+  restoreTerms,
+  unenforcedTerms,
+};
@@ -6,11 +6,100 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const fsPromises = require("fs").promises;
+const os = require("os");
 const axios = require("axios");
+const { transcribeAndSaveVtt } = require("./transcribe");
 const {
-  transcribeAndSaveVtt,
-  requestAssemblyAITranslation, // kept for compatibility but not used for translations
-} = require("./transcribe");
+  getTranscript,
+  saveTranscript,
+  updateTranscript,
+  saveTranslation,
+  deleteTranscript,
+  listTranscripts,
+  getTranscriptVersion,
+  listTranscriptVersions,
+  saveTranscriptVersion,
+  transcriptVersion,
+  transcriptSegments,
+} = require("./transcriptStore");
+const { applyCueEdits, diffCues } = require("./cueEdits");
+const {
+  sweepRetention,
+  startRetention,
+  recordRenderUpload,
+} = require("./retention");
+const {
+  resolveSegmentation,
+  segmentWords,
+  fitSegments,
+  listSegmentationPresets,
+  withoutWords,
+} = require("./segmenter");
+const assemblyai = require("./providers/transcription/assemblyai");
+const {
+  getSubtitleFormat,
+  parseFormats,
+  renderSubtitles,
+  writeSubtitleFiles,
+  speakerDisplayName,
+} = require("./subtitleFormats");
+const {
+  listStyles,
+  resolveStyle,
+  saveStyle,
+  deleteStyle,
+} = require("./subtitleStyles");
+const { parseSubtitleFile } = require("./subtitleParsers");
+const { normalizeTiming } = require("./timingNormalizer");
+const { burnSubtitles } = require("./burnIn");
+const { getContainer, muxSubtitles } = require("./mux");
+const { translateInBatches } = require("./batchTranslator");
+const { zipFiles } = require("./subtitleArchive");
+const {
+  parseTargetScript,
+  transliterateSegments,
+  listScripts,
+} = require("./transliteration");
+const { identifyLanguage, identifySegmentsLanguage } = require("./languageId");
+const {
+  classifyCue,
+  summarizeQuality,
+  combineQuality,
+} = require("./translationQuality");
+const {
+  HUMAN,
+  lookupTranslation,
+  rememberTranslation,
+  getMemoryEntry,
+  updateMemoryEntry,
+  deleteMemoryEntry,
+  listMemoryEntries,
+  purgeMemory,
+} = require("./translationMemory");
+const {
+  listGlossaries,
+  getGlossary,
+  saveGlossary,
+  deleteGlossary,
+  maskTerms,
+  restoreTerms,
+  unenforcedTerms,
+} = require("./glossaries");
+const {
+  resolveLanguage,
+  normalizeLanguage,
+  sameLanguage,
+  toIso639_2,
+  listLanguages,
+} = require("./languages");
+const {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+} = require("./providers/transcription");
+const {
+  getTranslationProvider,
+  listTranslationProviders,
+} = require("./providers/translation");
 const {
   uploadVideoFile,
   fetchRemoteToCloudinary,
@@ -20,7 +109,13 @@ const {
 const { pipeline } = require("stream");
 const { promisify } = require("util");
 const streamPipeline = promisify(pipeline);
-const { spawnSync } = require("child_process");
+const { spawn } = require("child_process");
+const {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  startJobQueue,
+} = require("./jobQueue");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -36,9 +131,14 @@ app.use(
       "http://localhost:5174",
     ],
     credentials: true,
-    methods: ["GET", "POST", "HEAD", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Range"],
-    exposedHeaders: ["Content-Length", "Content-Range", "Accept-Ranges"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Range", "X-Owner"],
+    exposedHeaders: [
+      "Content-Length",
+      "Content-Range",
+      "Accept-Ranges",
+      "Content-Disposition",
+    ],
   })
 );
 
@@ -83,6 +183,8 @@ const upload = multer({
       "video/mp4",
       "video/webm",
       "video/mpeg",
+      "video/x-matroska",
+      "video/quicktime",
       "audio/mpeg",
       "audio/wav",
       "audio/webm",
@@ -93,58 +195,128 @@ const upload = multer({
   },
 });
 
+// Subtitle files for import are small text files, parsed straight from memory
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
 // ============ STATIC ============
 const subtitlesDir = path.join(__dirname, "public", "subtitles");
 if (!fs.existsSync(subtitlesDir))
   fs.mkdirSync(subtitlesDir, { recursive: true });
 // serve subtitles with no-store so each translation is fetched fresh
-app.use(
-  "/subtitles",
-  express.static(subtitlesDir, {
-    setHeaders: (res, filePath) => {
-      res.setHeader(
-        "Cache-Control",
-        "no-store, no-cache, must-revalidate, proxy-revalidate"
-      );
-      res.setHeader("Pragma", "no-cache");
-      res.setHeader("Expires", "0");
-      res.setHeader("Surrogate-Control", "no-store");
-    },
-  })
+const serveSubtitleFiles = express.static(subtitlesDir, {
+  setHeaders: (res, filePath) => {
+    res.setHeader(
+      "Cache-Control",
+      "no-store, no-cache, must-revalidate, proxy-revalidate"
+    );
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.setHeader("Surrogate-Control", "no-store");
+  },
+});
+// an export with options (see GET /subtitles/:id.:ext) skips the written
+// file and renders on demand
+const EXPORT_OPTIONS = [
+  "targetScript",
+  "version",
+  "style",
+  "speakerStyles",
+  "wordTimings",
+];
+app.use("/subtitles", (req, res, next) =>
+  EXPORT_OPTIONS.some((key) => req.query[key] !== undefined)
+    ? next()
+    : serveSubtitleFiles(req, res, next)
 );
 
+// rendered (hard-subbed) videos kept on disk
+const rendersDir = path.join(__dirname, "public", "renders");
+if (!fs.existsSync(rendersDir)) fs.mkdirSync(rendersDir, { recursive: true });
+app.use("/renders", express.static(rendersDir));
+
 // ============ CONSTANTS ============
 const MAX_BYTES = 800 * 1024 * 1024; // 800 MB
 const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
 
 // ============ HELPERS ============
-function secToVttTimestamp(t) {
-  const totalMs = Math.round((t || 0) * 1000);
-  const ms = totalMs % 1000;
-  let s = Math.floor(totalMs / 1000);
-  const secs = s % 60;
-  s = Math.floor(s / 60);
-  const mins = s % 60;
-  const hrs = Math.floor(s / 60);
-  const pad = (n, z = 2) => String(n).padStart(z, "0");
-  return `${pad(hrs)}:${pad(mins)}:${pad(secs)}.${String(ms).padStart(3, "0")}`;
-}
-
-// async function writeVttFromSegments(segments, outDir, baseName) {
-//   const lines = ["WEBVTT", ""];
-//   for (let i = 0; i < segments.length; i++) {
-//     const s = segments[i] || {};
-//     lines.push(String(i + 1));
-//     lines.push(`${secToVttTimestamp(s.start)} --> ${secToVttTimestamp(s.end)}`);
-//     lines.push((s.text || "").replace(/\r\n/g, "\n"));
-//     lines.push("");
-//   }
-//   const filename = `${baseName}.${Date.now()}.vtt`;
-//   const outPath = path.join(outDir, filename);
-//   await fsPromises.mkdir(path.dirname(outPath), { recursive: true });
-//   await fsPromises.writeFile(outPath, lines.join("\n"), "utf8");
-//   return { path: outPath, filename, content: lines.join("\n") };
-// }
+// Registry code for an upload's languageCode ("auto" when missing); throws
+// when it is unknown or `transcriber` cannot transcribe it
+function parseTranscriptionLanguage(value, transcriber) {
+  const lang = normalizeLanguage(value);
+  if (lang !== "auto" && !transcriber.supportsLanguage(lang))
+    throw new Error(`${transcriber.name} cannot transcribe ${lang}`);
+  return lang;
+}
+
+// `speakers` arrives as a JSON boolean/number or a multipart string:
+// "true" enables diarization, a positive integer also sets the expected count
+function parseSpeakersOption(v) {
+  if (v === true || v === "true") return true;
+  const n = Number(v);
+  if (Number.isInteger(n) && n > 0) return n;
+  return false;
+}
+
+function parseBooleanOption(v) {
+  return v === true || v === "true" || v === "1" || v === 1;
+}
+
+// Who a new transcript belongs to: the X-Owner header or an `owner` field
+// (any label the client uses for its users); null when neither is sent
+function parseOwnerOption(req) {
+  const value = req.get("x-owner") || req.body?.owner;
+  if (value === undefined || value === null || value === "") return null;
+  const owner = String(value).trim();
+  if (!owner || owner.length > 128)
+    throw new Error("owner must be 1-128 characters");
+  return owner;
+}
+
+// `segmentation` is a preset name ("netflix", "bbc", "social", ...) or an
+// options object; multipart bodies send the object as a JSON string.
+// Throws on unknown presets / invalid values.
+function parseSegmentationOption(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const value = parseJsonOption(v, "segmentation");
+  resolveSegmentation(value);
+  return value;
+}
+
+// Multipart bodies send objects as JSON strings
+function parseJsonOption(v, name) {
+  if (typeof v !== "string" || !/^\s*[{[]/.test(v)) return v;
+  try {
+    return JSON.parse(v);
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON`);
+  }
+}
+
+// `style` (preset name or object) and `speakerStyles` ({ A: style }) for ASS
+// output; throws on unknown presets / invalid fields
+function parseStyleOptions(body = {}) {
+  const style = parseJsonOption(body.style, "style") || null;
+  const speakerStyles = parseJsonOption(body.speakerStyles, "speakerStyles");
+  if (style) resolveStyle(style);
+  if (speakerStyles) {
+    if (typeof speakerStyles !== "object" || Array.isArray(speakerStyles))
+      throw new Error("speakerStyles must map speaker labels to styles");
+    Object.values(speakerStyles).forEach(resolveStyle);
+  }
+  return { style, speakerStyles: speakerStyles || null };
+}
+
+// { vtt: "a.vtt", srt: "a.srt" } → { vtt: "/subtitles/a.vtt", srt: "/subtitles/a.srt" }
+function subtitleUrls(files) {
+  const urls = {};
+  for (const [ext, filename] of Object.entries(files || {})) {
+    urls[ext] = `/subtitles/${encodeURIComponent(filename)}`;
+  }
+  return urls;
+}
 
 function isExternalHttpUrl(u) {
   try {
@@ -164,62 +336,7 @@ function isExternalHttpUrl(u) {
   }
 }
 
-// optional AssemblyAI translation helper (kept but not used in MyMemory flow)
-async function produceAssemblyTranslatedVtt(transcriptId, targetLang) {
-  if (!transcriptId || !targetLang) {
-    console.log("⚠️ No transcriptId or targetLang provided for translation");
-    return null;
-  }
-
-  try {
-    console.log(
-      `🌍 Requesting AssemblyAI translation: ${transcriptId} -> ${targetLang}`
-    );
-
-    if (typeof requestAssemblyAITranslation !== "function") {
-      console.warn("⚠️ requestAssemblyAITranslation function not available");
-      return null;
-    }
-
-    const res = await requestAssemblyAITranslation(transcriptId, targetLang);
-
-    if (res) {
-      if (res.vttUrlPath) return res.vttUrlPath;
-      if (res.vttFilename)
-        return `/subtitles/${encodeURIComponent(res.vttFilename)}`;
-    }
-
-    console.log("⚠️ Translation did not return a VTT URL");
-    return null;
-  } catch (err) {
-    console.error(
-      "❌ Translation failed:",
-      err && err.message ? err.message : err
-    );
-    return null;
-  }
-}
-
 // ============ HELPER: YouTube extraction & download ============
-// async function getYouTubeDirectUrl(youtubeUrl) {
-//   try {
-//     console.log("🎬 Extracting YouTube video URL...");
-//     const args = ["-f", "best[ext=mp4]", "--get-url", "--quiet", youtubeUrl];
-//     const r = spawnSync("yt-dlp", args, { encoding: "utf8" });
-//     if (r.error || r.status !== 0) {
-//       throw r.error || new Error("yt-dlp failed with status " + r.status);
-//     }
-//     const directUrl = (r.stdout || "").trim();
-//     if (!directUrl) throw new Error("No URL extracted");
-//     return directUrl;
-//   } catch (err) {
-//     console.error("❌ yt-dlp failed:", err && err.message ? err.message : err);
-//     throw new Error(
-//       "Could not extract video from YouTube. Video may be private or unavailable."
-//     );
-//   }
-// }
-
 async function downloadVideoFromUrl(url, timeoutMs = DOWNLOAD_TIMEOUT_MS) {
   const timestamp = Date.now();
   const random = Math.random().toString(36).slice(2, 8);
@@ -314,73 +431,283 @@ app.get("/health", (req, res) =>
 );
 
 // ============ UPLOAD & TRANSCRIBE ============
-// Upload audio/file and transcribe
-app.post("/upload-audio", upload.single("file"), async (req, res) => {
-  if (!req.file)
-    return res
-      .status(400)
-      .json({ error: "No file uploaded. Use field 'file'" });
+// Both upload routes only validate input and queue a job; the pipeline below
+// runs in the background and clients poll GET /jobs/:id for stage/progress.
+
+// Rough progress for each pipeline stage reported to GET /jobs/:id
+const STAGE_PROGRESS = {
+  downloading: 5,
+  uploading: 20,
+  transcribing: 40,
+  translating: 80,
+  finalizing: 95,
+};
 
-  const filePath = req.file.path;
-  const languageCode = req.body?.languageCode || "auto";
-  const targetLang = req.body?.targetLang || null;
+function reportStage(ctx, stage) {
+  if (ctx && typeof ctx.update === "function")
+    ctx.update({ stage, progress: STAGE_PROGRESS[stage] });
+}
 
-  console.log("📂 File uploaded:", filePath);
-  console.log("🌐 Transcription language:", languageCode);
-  console.log("🌍 Translation target:", targetLang || "none");
+// While AssemblyAI is busy, creep progress toward the translating stage
+function transcribeStatusReporter(ctx) {
+  let polls = 0;
+  return () => {
+    if (!ctx || typeof ctx.update !== "function") return;
+    polls++;
+    const start = STAGE_PROGRESS.transcribing;
+    const span = STAGE_PROGRESS.translating - start;
+    ctx.update({
+      stage: "transcribing",
+      progress: start + span * (1 - 1 / (1 + polls / 10)),
+    });
+  };
+}
 
-  try {
-    let cloudResult = null;
-    try {
-      console.log("☁️ Uploading file to Cloudinary...");
-      cloudResult = await uploadVideoFile(filePath, {
-        resource_type: "video",
-        folder: "ai_subtitles/uploads",
+// Translation stage of both upload pipelines: translate the new transcript
+// into each of `targetLangs` (with the glossary and strict options of
+// /translate-subtitles) and write the subtitle files. A failed language is
+// reported in its entry and does not fail the transcription.
+async function translateUploadedTranscript(
+  transcriptId,
+  targetLangs,
+  {
+    translationProvider = null,
+    glossary: glossaryName = null,
+    strict = false,
+    format = null,
+    targetScript = null,
+  } = {},
+  ctx
+) {
+  const translations = {};
+  const transcript = transcriptId ? getTranscript(transcriptId) : null;
+  if (!transcript || !targetLangs || !targetLangs.length) return translations;
+
+  const srcLang = transcriptLang(transcript);
+  const start = STAGE_PROGRESS.translating;
+  const span = STAGE_PROGRESS.finalizing - start;
+  for (const [i, lang] of targetLangs.entries()) {
+    if (ctx && typeof ctx.update === "function")
+      ctx.update({
+        stage: "translating",
+        progress: start + (span * i) / targetLangs.length,
       });
-      console.log("☁️ Cloudinary upload done:", cloudResult?.secure_url);
-    } catch (cloudErr) {
+    try {
+      let segments = withoutWords(transcriptSegments(transcript));
+      let report = {};
+      if (!sameLanguage(lang, srcLang)) {
+        const provider = resolveTranslationProvider(
+          translationProvider,
+          srcLang,
+          lang,
+          transcript
+        );
+        const {
+          segments: translated,
+          quality,
+          glossaryWarnings,
+        } = await translateSegments(segments, srcLang, lang, provider, {
+          transcript,
+          glossary: resolveGlossary(glossaryName, translationProvider),
+        });
+        // strict: no files for a partly untranslated language
+        if (strict && !quality.complete) {
+          translations[lang] = {
+            vttUrl: null,
+            error: `${quality.cues - quality.translated - quality.noText} of ${
+              quality.cues - quality.noText
+            } cues were not translated`,
+            quality,
+          };
+          continue;
+        }
+        ({ segments } = normalizeTiming(
+          fitSegments(translated, transcript.segmentation),
+          {
+            segmentation: transcript.segmentation,
+            mediaDuration: transcript.duration,
+          }
+        ));
+        report = { provider: provider.name, quality, glossaryWarnings };
+      }
+      const files = writeSubtitleFiles(
+        subtitlesDir,
+        `translated-${lang}-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        segments,
+        ["vtt", ...parseFormats(format)],
+        {
+          language: lang,
+          targetScript,
+          speakerNames: transcript.speakers,
+          style: transcript.style,
+          speakerStyles: transcript.speakerStyles,
+          segmentation: transcript.segmentation,
+          mediaDuration: transcript.duration,
+        }
+      );
+      // link the written files to the transcript's translation record
+      if (report.provider)
+        saveTranslation(
+          transcript.id,
+          lang,
+          segments,
+          files,
+          transcriptVersion(transcript)
+        );
+      console.log(`🌍 Translated ${transcript.id} → ${lang}`);
+      translations[lang] = {
+        vttUrl: `/subtitles/${encodeURIComponent(files.vtt)}`,
+        subtitleUrls: subtitleUrls(files),
+        ...report,
+      };
+    } catch (err) {
       console.warn(
-        "⚠️ Cloudinary upload failed:",
-        cloudErr && cloudErr.message ? cloudErr.message : cloudErr
+        `⚠️ Translation to ${lang} failed:`,
+        err && err.message ? err.message : err
+      );
+      translations[lang] = {
+        vttUrl: null,
+        error: err && err.message ? err.message : String(err),
+      };
+    }
+  }
+  return translations;
+}
+
+// translatedVttUrl is the first target's VTT (kept for single-target
+// clients); translatedVttUrls has one per target language
+function translationFields(translations) {
+  const urls = {};
+  for (const [lang, t] of Object.entries(translations)) urls[lang] = t.vttUrl;
+  return {
+    translatedVttUrl: Object.values(urls)[0] || null,
+    translatedVttUrls: urls,
+    translations,
+  };
+}
+
+function runYtDlp(url, outFile) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      "-f",
+      "bestvideo[ext=mp4]+bestaudio[ext=m4a]/mp4",
+      "-o",
+      outFile,
+      url,
+    ];
+    const child = spawn("yt-dlp", args, { stdio: "inherit" });
+    child.on("error", () =>
+      reject(
+        new Error(
+          "yt-dlp download failed. Make sure yt-dlp is installed and accessible."
+        )
+      )
+    );
+    child.on("close", (code) => {
+      if (code === 0) return resolve(outFile);
+      reject(
+        new Error(
+          "yt-dlp download failed. Make sure yt-dlp is installed and accessible."
+        )
       );
+    });
+  });
+}
+
+// Pipeline for /upload-audio: Cloudinary upload → transcription → VTT
+async function processUploadAudio(params, ctx) {
+  const {
+    filePath,
+    languageCode = "auto",
+    targetLangs = [],
+    translationProvider = null,
+    glossary = null,
+    strict = false,
+    provider = null,
+    speakers = false,
+    segmentation = null,
+    wordTimings = false,
+    format = null,
+    style = null,
+    speakerStyles = null,
+    targetScript = null,
+    owner = null,
+  } = params;
+
+  try {
+    if (!fs.existsSync(filePath))
+      throw new Error("Uploaded file is no longer available: " + filePath);
+
+    // Local providers keep the media on this machine: no Cloudinary upload
+    const transcriber = getTranscriptionProvider(provider);
+    let cloudResult = null;
+    if (!transcriber.runsLocally) {
+      try {
+        reportStage(ctx, "uploading");
+        console.log("☁️ Uploading file to Cloudinary...");
+        cloudResult = await uploadVideoFile(filePath, {
+          resource_type: "video",
+          folder: "ai_subtitles/uploads",
+        });
+        console.log("☁️ Cloudinary upload done:", cloudResult?.secure_url);
+      } catch (cloudErr) {
+        console.warn(
+          "⚠️ Cloudinary upload failed:",
+          cloudErr && cloudErr.message ? cloudErr.message : cloudErr
+        );
+      }
     }
 
+    reportStage(ctx, "transcribing");
+    const onStatus = transcribeStatusReporter(ctx);
     let transcribeResult;
     if (cloudResult?.secure_url) {
       transcribeResult = await transcribeAndSaveVtt({
         remoteUrl: cloudResult.secure_url,
         languageCode,
+        provider: transcriber.name,
+        speakers,
+        segmentation,
+        wordTimings,
+        format,
+        style,
+        speakerStyles,
+        targetScript,
+        sourceMedia: {
+          url: cloudResult.secure_url,
+          publicId: cloudResult.public_id,
+        },
+        owner,
+        onStatus,
       });
     } else {
-      transcribeResult = await transcribeAndSaveVtt({ filePath, languageCode });
+      transcribeResult = await transcribeAndSaveVtt({
+        filePath,
+        languageCode,
+        provider: transcriber.name,
+        speakers,
+        segmentation,
+        wordTimings,
+        format,
+        style,
+        speakerStyles,
+        targetScript,
+        owner,
+        onStatus,
+      });
     }
 
     console.log(
       "✅ Transcription complete. TranscriptID:",
       transcribeResult?.transcriptId
     );
-
-    // We do NOT run AssemblyAI translation here when using MyMemory-only flow.
-    let translatedVttUrl = null;
-    // If the frontend requests immediate translation using AssemblyAI this code path can be used,
-    // but by default we leave translatedVttUrl null so client triggers /translate-subtitles (MyMemory)
-    if (false && targetLang && transcribeResult?.transcriptId) {
-      try {
-        translatedVttUrl = await produceAssemblyTranslatedVtt(
-          transcribeResult.transcriptId,
-          targetLang
-        );
-      } catch (err) {
-        console.warn(
-          "AssemblyAI translation suppressed/failed:",
-          err && err.message ? err.message : err
-        );
-      }
-    }
-
-    try {
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (_) {}
+    const translations = await translateUploadedTranscript(
+      transcribeResult?.transcriptId,
+      targetLangs,
+      { translationProvider, glossary, strict, format, targetScript },
+      ctx
+    );
+    reportStage(ctx, "finalizing");
 
     const payload = {
       ok: true,
@@ -391,9 +718,14 @@ app.post("/upload-audio", upload.single("file"), async (req, res) => {
         (transcribeResult?.vttFilename
           ? `/subtitles/${encodeURIComponent(transcribeResult.vttFilename)}`
           : null),
-      translatedVttUrl: translatedVttUrl || null,
+      subtitleUrls: subtitleUrls(transcribeResult?.files),
+      timingReport: transcribeResult?.timingReport || null,
+      ...translationFields(translations),
       transcriptId: transcribeResult?.transcriptId || null,
       detectedLanguage: transcribeResult?.detectedLanguage || null,
+      languageDetection: transcribeResult?.languageDetection || null,
+      speakers: transcribeResult?.speakers || {},
+      provider: transcribeResult?.provider || transcriber.name,
     };
 
     if (cloudResult?.secure_url) {
@@ -404,56 +736,58 @@ app.post("/upload-audio", upload.single("file"), async (req, res) => {
       };
     }
 
-    return res.json(payload);
-  } catch (err) {
-    console.error(
-      "❌ Error in /upload-audio:",
-      err && err.message ? err.message : err
-    );
+    return payload;
+  } finally {
     try {
       if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
     } catch (_) {}
-    return res.status(500).json({
-      error: err && err.message ? err.message : "Transcription failed",
-    });
   }
-});
+}
 
-// Upload from URL and transcribe
-app.post("/upload-from-url", async (req, res) => {
+// Pipeline for /upload-from-url: yt-dlp / Cloudinary fetch → transcription → VTT
+async function processUploadFromUrl(params, ctx) {
+  const {
+    url,
+    languageCode,
+    targetLangs = [],
+    translationProvider = null,
+    glossary = null,
+    strict = false,
+    provider = null,
+    speakers = false,
+    segmentation = null,
+    wordTimings = false,
+    format = null,
+    style = null,
+    speakerStyles = null,
+    targetScript = null,
+    owner = null,
+  } = params;
   let tempFile = null;
-  try {
-    const { url, languageCode, targetLang } = req.body || {};
-    if (!url) return res.status(400).json({ error: "Missing URL" });
-
-    if (!isExternalHttpUrl(url))
-      return res.status(400).json({ error: "Invalid or disallowed URL" });
-
-    console.log("🎥 Received URL:", url);
-    console.log("🌐 Transcription language:", languageCode || "auto");
-    console.log("🌍 Translation target:", targetLang || "none");
 
+  try {
     const isYT = url.includes("youtube.com") || url.includes("youtu.be");
+    const transcriber = getTranscriptionProvider(provider);
     let cloudResult = null;
 
-    if (isYT) {
+    if (transcriber.runsLocally) {
+      // Local providers transcribe a downloaded copy; nothing goes to Cloudinary
+      reportStage(ctx, "downloading");
+      if (isYT) {
+        console.log("📺 YouTube detected → downloading with yt-dlp...");
+        tempFile = path.join(uploadDir, `yt-${Date.now()}.mp4`);
+        await runYtDlp(url, tempFile);
+      } else {
+        tempFile = await downloadVideoFromUrl(url);
+      }
+    } else if (isYT) {
       console.log("📺 YouTube detected → downloading with yt-dlp...");
+      reportStage(ctx, "downloading");
       const outName = `yt-${Date.now()}.mp4`;
       tempFile = path.join(uploadDir, outName);
-      const args = [
-        "-f",
-        "bestvideo[ext=mp4]+bestaudio[ext=m4a]/mp4",
-        "-o",
-        tempFile,
-        url,
-      ];
-      const r = spawnSync("yt-dlp", args, { stdio: "inherit" });
-      if (r.status !== 0) {
-        throw new Error(
-          "yt-dlp download failed. Make sure yt-dlp is installed and accessible."
-        );
-      }
+      await runYtDlp(url, tempFile);
       console.log("☁️ Uploading downloaded YouTube file to Cloudinary...");
+      reportStage(ctx, "uploading");
       cloudResult = await uploadVideoFile(tempFile, {
         resource_type: "video",
         folder: "ai_subtitles/uploads",
@@ -461,6 +795,7 @@ app.post("/upload-from-url", async (req, res) => {
       console.log("☁️ Cloudinary upload complete:", cloudResult?.secure_url);
     } else {
       console.log("☁️ Attempting Cloudinary remote fetch...");
+      reportStage(ctx, "uploading");
       try {
         cloudResult = await fetchRemoteToCloudinary(url, {
           resource_type: "video",
@@ -473,10 +808,12 @@ app.post("/upload-from-url", async (req, res) => {
           fetchErr && fetchErr.message ? fetchErr.message : fetchErr
         );
         console.log("🌐 Falling back to direct download...");
+        reportStage(ctx, "downloading");
         tempFile = await downloadVideoFromUrl(url);
         if (!tempFile || !fs.existsSync(tempFile))
           throw new Error("Fallback download failed.");
         console.log("☁️ Uploading fallback file to Cloudinary...");
+        reportStage(ctx, "uploading");
         cloudResult = await uploadVideoFile(tempFile, {
           resource_type: "video",
           folder: "ai_subtitles/uploads",
@@ -486,23 +823,41 @@ app.post("/upload-from-url", async (req, res) => {
     }
 
     console.log("📝 Transcribing remote file...");
+    reportStage(ctx, "transcribing");
     const trans = await transcribeAndSaveVtt({
-      remoteUrl: cloudResult.secure_url,
+      ...(cloudResult?.secure_url
+        ? { remoteUrl: cloudResult.secure_url }
+        : { filePath: tempFile }),
       languageCode: languageCode || "auto",
+      provider: transcriber.name,
+      speakers,
+      segmentation,
+      wordTimings,
+      format,
+      style,
+      speakerStyles,
+      targetScript,
+      sourceMedia: {
+        url: cloudResult?.secure_url || url,
+        publicId: cloudResult?.public_id || null,
+      },
+      owner,
+      onStatus: transcribeStatusReporter(ctx),
     });
 
     console.log(
       "✅ Transcription complete. TranscriptID:",
       trans?.transcriptId
     );
+    const translations = await translateUploadedTranscript(
+      trans?.transcriptId,
+      targetLangs,
+      { translationProvider, glossary, strict, format, targetScript },
+      ctx
+    );
+    reportStage(ctx, "finalizing");
 
-    // We are MyMemory-only for translations. translatedVttUrl left null.
-    let translatedVttUrl = null;
-    try {
-      if (tempFile && fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
-    } catch (_) {}
-
-    return res.json({
+    return {
       ok: true,
       cloudinaryUrl: cloudResult?.secure_url || null,
       text: trans?.text || "",
@@ -512,218 +867,1718 @@ app.post("/upload-from-url", async (req, res) => {
         (trans?.vttFilename
           ? `/subtitles/${encodeURIComponent(trans.vttFilename)}`
           : null),
-      translatedVttUrl: translatedVttUrl,
+      subtitleUrls: subtitleUrls(trans?.files),
+      timingReport: trans?.timingReport || null,
+      ...translationFields(translations),
       transcriptId: trans?.transcriptId || null,
       detectedLanguage: trans?.detectedLanguage || null,
-    });
-  } catch (err) {
-    console.error("❌ URL ERROR:", err && err.message ? err.message : err);
-    if (tempFile && fs.existsSync(tempFile)) {
-      try {
-        fs.unlinkSync(tempFile);
-      } catch (_) {}
-    }
-    return res.status(400).json({
-      error:
-        err && err.message ? err.message : "Failed to process video from URL",
-    });
-  }
-});
-
-// ---- Mirrors (auto-fallback)
-const MIRRORS = [
-  process.env.LIBRE_URL, // your chosen primary
-  "https://libretranslate.de/translate",
-  "https://translate.terraprint.co/translate",
-  "https://translate.argosopentech.com/translate",
-].filter(Boolean);
-
-// ---- Translate fallback to mirrors
-async function translateTextWithFallback(text, targetLang) {
-  for (const mirror of MIRRORS) {
+      languageDetection: trans?.languageDetection || null,
+      speakers: trans?.speakers || {},
+      provider: trans?.provider || transcriber.name,
+    };
+  } finally {
     try {
-      const r = await axios.post(
-        mirror,
-        {
-          q: text,
-          source: "auto",
-          target: targetLang.toLowerCase(),
-          format: "text",
-        },
-        { timeout: 8000 }
-      );
-
-      if (r.data?.translatedText) return r.data.translatedText;
-      // some mirrors return r.data.translated
-      if (r.data?.translated) return r.data.translated;
-    } catch (err) {
-      console.warn(
-        `⚠️ Mirror failed (${mirror}):`,
-        err && err.message ? err.message : err
-      );
-    }
+      if (tempFile && fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+    } catch (_) {}
   }
-
-  console.warn("❗ All mirrors failed — using original text");
-  return text;
 }
 
-// ---- Build VTT helper
-function buildVttFromSegments(segments) {
-  const pad = (n, z = 2) => String(n).padStart(z, "0");
-
-  const toVttTime = (sec) => {
-    const totalMs = Math.round((sec || 0) * 1000);
-    const ms = totalMs % 1000;
-    let s = Math.floor(totalMs / 1000);
-    const secs = s % 60;
-    s = Math.floor(s / 60);
-    const mins = s % 60;
-    const hrs = Math.floor(s / 60);
-    return `${pad(hrs)}:${pad(mins)}:${pad(secs)}.${String(ms).padStart(
-      3,
-      "0"
-    )}`;
-  };
+registerJobHandler("upload-audio", processUploadAudio);
+registerJobHandler("upload-from-url", processUploadFromUrl);
 
-  const lines = ["WEBVTT", ""];
-  segments.forEach((s, i) => {
-    lines.push(String(i + 1));
-    lines.push(`${toVttTime(s.start)} --> ${toVttTime(s.end)}`);
-    lines.push((s.text || "").replace(/\r\n/g, "\n"));
-    lines.push("");
+function sendJobAccepted(res, job) {
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
   });
-  return lines.join("\n");
 }
 
-// ---- MyMemory translator (primary) with mirror fallback
-async function translateWithMyMemory(text, srcLang, targetLang) {
+// Upload audio/file and queue transcription
+app.post("/upload-audio", upload.single("file"), (req, res) => {
+  if (!req.file)
+    return res
+      .status(400)
+      .json({ error: "No file uploaded. Use field 'file'" });
+
+  const filePath = req.file.path;
+  const provider = req.body?.provider || null;
+  const translationProvider = req.body?.translationProvider || null;
+  const glossary = req.body?.glossary || null;
+  const speakers = parseSpeakersOption(req.body?.speakers);
+  const wordTimings = parseBooleanOption(req.body?.wordTimings);
+  let languageCode;
+  let targetLangs;
+  let segmentation;
+  let format;
+  let styles;
+  let targetScript;
+  let owner;
+
+  console.log("📂 File uploaded:", filePath);
+
   try {
-    const short = String(text).slice(0, 120).replace(/\n/g, " ");
-    console.log(
-      `[MyMemory] request (${srcLang}→${targetLang}): "${short}${
-        text.length > 120 ? "..." : ""
-      }"`
-    );
-    const r = await axios.get("https://api.mymemory.translated.net/get", {
-      params: { q: text, langpair: `${srcLang}|${targetLang}` },
-      timeout: 9000,
-    });
-    const sample = {
-      responseData: r.data?.responseData,
-      matchesCount: Array.isArray(r.data?.matches)
-        ? r.data.matches.length
-        : null,
-    };
-    console.log("[MyMemory] response sample:", sample);
-    const t = r.data?.responseData?.translatedText;
-    if (t && t.length) return t;
+    languageCode = parseTranscriptionLanguage(
+      req.body?.languageCode,
+      getTranscriptionProvider(provider)
+    );
+    targetLangs = parseTargetLangs(req.body);
+    if (targetLangs.length) {
+      getTranslationProvider(translationProvider);
+      resolveGlossary(glossary, translationProvider);
+    }
+    segmentation = parseSegmentationOption(req.body?.segmentation);
+    format = parseFormats(req.body?.format);
+    styles = parseStyleOptions(req.body);
+    targetScript = parseTargetScript(req.body?.targetScript);
+    owner = parseOwnerOption(req);
   } catch (err) {
-    console.warn("MyMemory error:", err && err.message ? err.message : err);
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (_) {}
+    return res.status(400).json({ error: err.message });
   }
 
-  // fallback to mirrors
+  console.log("🌐 Transcription language:", languageCode);
+  console.log("🌍 Translation targets:", targetLangs.join(", ") || "none");
+
   try {
-    const fallback = await translateTextWithFallback(text, targetLang);
-    if (fallback && fallback !== text) {
-      console.log("[MyMemory] fallback translated via mirrors");
-      return fallback;
-    }
+    const job = enqueueJob("upload-audio", {
+      filePath,
+      languageCode,
+      targetLangs,
+      translationProvider,
+      glossary,
+      strict: parseBooleanOption(req.body?.strict),
+      provider,
+      speakers,
+      segmentation,
+      wordTimings,
+      format,
+      targetScript,
+      owner,
+      ...styles,
+    });
+    return sendJobAccepted(res, job);
   } catch (err) {
-    console.warn(
-      "Mirror fallback failed:",
+    console.error(
+      "❌ Error in /upload-audio:",
       err && err.message ? err.message : err
     );
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (_) {}
+    return res.status(500).json({
+      error: err && err.message ? err.message : "Could not queue transcription",
+    });
   }
+});
 
-  // last resort: return original
-  return text;
-}
-
-// ============ TRANSLATION ROUTE (MyMemory-first) ============
-const LANG_MAP_BACKEND = {
-  english: "en",
-  en: "en",
-  hindi: "hi",
-  hi: "hi",
-  spanish: "es",
-  es: "es",
-  french: "fr",
-  fr: "fr",
-  chinese: "zh-CN",
-  chinese_simplified: "zh-CN",
-  chinese_traditional: "zh-TW",
-  japanese: "ja",
-  ja: "ja",
-  korean: "ko",
-  ko: "ko",
-  german: "de",
-  de: "de",
-  italian: "it",
-  it: "it",
-  portuguese: "pt",
-  pt: "pt",
-  russian: "ru",
-  ru: "ru",
-  arabic: "ar",
-  ar: "ar",
-  turkish: "tr",
-  tr: "tr",
-};
-
-function normLangBackend(l) {
-  if (!l) return "auto";
-  const s = String(l).trim();
-  if (/^auto$/i.test(s)) return "auto";
-  if (/^[A-Za-z]{2}(-[A-Za-z]{2,4})?$/.test(s)) {
-    const parts = s.split("-");
-    if (parts.length === 2)
-      return parts[0].toLowerCase() + "-" + parts[1].toUpperCase();
-    return s.toLowerCase();
-  }
-  const key = s.toLowerCase().replace(/\s+/g, "_").replace(/[()]/g, "");
-  return LANG_MAP_BACKEND[key] || "auto";
-}
-
-// Script detection helper (quick Unicode heuristic)
-function detectScriptFromTextSample(text) {
-  if (!text) return null;
-  // Devanagari (Hindi, Marathi, Nepali etc.)
-  if (/[\u0900-\u097F]/.test(text)) return "hi";
-  // Cyrillic
-  if (/[\u0400-\u04FF]/.test(text)) return "ru";
-  // Arabic
-  if (/[\u0600-\u06FF]/.test(text)) return "ar";
-  // CJK Unified Ideographs
-  if (/[\u4E00-\u9FFF\u3400-\u4DBF]/.test(text)) return "zh-CN";
-  // Thai
-  if (/[\u0E00-\u0E7F]/.test(text)) return "th";
-  // Hebrew
-  if (/[\u0590-\u05FF]/.test(text)) return "he";
-  return null;
-}
-
-app.post("/translate-subtitles", async (req, res) => {
+// Upload from URL and queue transcription
+app.post("/upload-from-url", (req, res) => {
   try {
-    const { segments, targetLang, detectedLanguage, transcriptId } =
+    const { url, provider, speakers, translationProvider, glossary } =
       req.body || {};
+    let languageCode;
+    let targetLangs;
+    let segmentation;
+    let format;
+    let styles;
+    let targetScript;
+    let owner;
+    if (!url) return res.status(400).json({ error: "Missing URL" });
+
+    if (!isExternalHttpUrl(url))
+      return res.status(400).json({ error: "Invalid or disallowed URL" });
 
-    if (!targetLang) {
-      return res.status(400).json({ ok: false, error: "targetLang required" });
+    try {
+      languageCode = parseTranscriptionLanguage(
+        req.body?.languageCode,
+        getTranscriptionProvider(provider)
+      );
+      targetLangs = parseTargetLangs(req.body);
+      if (targetLangs.length) {
+        getTranslationProvider(translationProvider);
+        resolveGlossary(glossary, translationProvider);
+      }
+      segmentation = parseSegmentationOption(req.body?.segmentation);
+      format = parseFormats(req.body?.format);
+      styles = parseStyleOptions(req.body);
+      targetScript = parseTargetScript(req.body?.targetScript);
+      owner = parseOwnerOption(req);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    console.log("[translate-subtitles] incoming payload:", {
-      segmentsCount: Array.isArray(segments) ? segments.length : 0,
-      targetLang,
-      detectedLanguage,
-      transcriptId: transcriptId
-        ? String(transcriptId).slice(0, 12) + "..."
-        : null,
+    console.log("🎥 Received URL:", url);
+    console.log("🌐 Transcription language:", languageCode);
+    console.log("🌍 Translation targets:", targetLangs.join(", ") || "none");
+
+    const job = enqueueJob("upload-from-url", {
+      url,
+      languageCode,
+      targetLangs,
+      translationProvider: translationProvider || null,
+      glossary: glossary || null,
+      strict: parseBooleanOption(req.body?.strict),
+      provider: provider || null,
+      speakers: parseSpeakersOption(speakers),
+      segmentation,
+      wordTimings: parseBooleanOption(req.body?.wordTimings),
+      format,
+      targetScript,
+      owner,
+      ...styles,
+    });
+    return sendJobAccepted(res, job);
+  } catch (err) {
+    console.error("❌ URL ERROR:", err && err.message ? err.message : err);
+    return res.status(500).json({
+      error: err && err.message ? err.message : "Could not queue transcription",
     });
+  }
+});
 
-    const tgtLang = normLangBackend(targetLang);
-    // start with provided detectedLanguage or 'auto'
-    let srcLang = detectedLanguage ? normLangBackend(detectedLanguage) : "auto";
+// ============ RENDER & MUX ============
+// Rough progress for the render/mux jobs; ffmpeg's own progress fills the
+// rendering → uploading range
+const RENDER_PROGRESS = {
+  downloading: 5,
+  translating: 10,
+  rendering: 15,
+  uploading: 92,
+};
+
+// Registry code of a stored or identified language ("auto" when unknown)
+function knownLanguage(value) {
+  const lang = resolveLanguage(value);
+  return lang ? lang.code : "auto";
+}
+
+const transcriptLang = (transcript) =>
+  knownLanguage(transcript.detectedLanguage);
+
+// Script to write `transcript` (or its translation to `lang`) in: the one
+// asked for, else the script the transcript was stored with (source only)
+function scriptFor(transcript, lang, targetScript) {
+  if (targetScript) return targetScript;
+  return lang && lang !== transcriptLang(transcript)
+    ? null
+    : transcript.targetScript || null;
+}
+
+// Throws (see resolveTranslationProvider) when `transcript` would need a
+// translation to `lang` that provider `providerName` cannot do
+function checkTranslationFor(transcript, lang, providerName) {
+  if (!lang || sameLanguage(lang, transcriptLang(transcript))) return;
+  if (transcript.translations && transcript.translations[lang]) return;
+  resolveTranslationProvider(
+    providerName,
+    transcriptLang(transcript),
+    lang,
+    transcript
+  );
+}
+
+// Cues of `transcript` in `lang`: the source cues, a stored translation, or
+// a fresh translation (with `providerName`) that is stored for next time
+async function transcriptCuesFor(transcript, lang, providerName = null) {
+  const srcLang = transcriptLang(transcript);
+  const version = transcriptVersion(transcript);
+  const source = withoutWords(transcriptSegments(transcript));
+  if (!lang || sameLanguage(lang, srcLang)) return source;
+  // a stored translation of an older version of the cues is redone
+  const stored = transcript.translations && transcript.translations[lang];
+  if (
+    stored &&
+    Array.isArray(stored.segments) &&
+    (stored.sourceVersion || 1) === version
+  )
+    return stored.segments;
+
+  const { segments: translated } = await translateSegments(
+    source,
+    srcLang,
+    lang,
+    resolveTranslationProvider(providerName, srcLang, lang, transcript),
+    { transcript }
+  );
+  const { segments } = normalizeTiming(
+    fitSegments(translated, transcript.segmentation),
+    {
+      segmentation: transcript.segmentation,
+      mediaDuration: transcript.duration,
+    }
+  );
+  saveTranslation(transcript.id, lang, segments, {}, version);
+  return segments;
+}
+
+// Local copy of the source media (yt-dlp for YouTube, else a direct download)
+async function downloadSourceMedia(url, ctx) {
+  if (!url) throw new Error("No source media for this transcript");
+  ctx.update({ stage: "downloading", progress: RENDER_PROGRESS.downloading });
+  if (url.includes("youtube.com") || url.includes("youtu.be")) {
+    const outFile = path.join(uploadDir, `yt-${Date.now()}.mp4`);
+    return runYtDlp(url, outFile);
+  }
+  return downloadVideoFromUrl(url);
+}
+
+// Upload a finished file to Cloudinary, or serve it from public/renders when
+// delivery is "disk" (or the upload fails). Uploads are recorded for the
+// retention sweep, with the transcripts the render was made from.
+async function deliverRender(outPath, delivery, ctx, transcriptIds = []) {
+  const result = { videoUrl: `/renders/${path.basename(outPath)}` };
+  if (delivery !== "cloudinary") return result;
+  ctx.update({ stage: "uploading", progress: RENDER_PROGRESS.uploading });
+  try {
+    const cloudResult = await uploadVideoFile(outPath, {
+      resource_type: "video",
+      folder: "ai_subtitles/renders",
+    });
+    recordRenderUpload({
+      publicId: cloudResult.public_id,
+      resourceType: cloudResult.resource_type,
+      transcriptIds,
+    });
+    fs.unlinkSync(outPath);
+    return {
+      videoUrl: cloudResult.secure_url,
+      cloudinary: {
+        secure_url: cloudResult.secure_url,
+        public_id: cloudResult.public_id,
+        resource_type: cloudResult.resource_type,
+      },
+    };
+  } catch (cloudErr) {
+    // the file is still useful: serve it from disk instead
+    console.warn(
+      "⚠️ Cloudinary upload of render failed, serving from disk:",
+      cloudErr && cloudErr.message ? cloudErr.message : cloudErr
+    );
+    return result;
+  }
+}
+
+function ffmpegProgress(ctx) {
+  const span = RENDER_PROGRESS.uploading - RENDER_PROGRESS.rendering;
+  return (fraction) =>
+    ctx.update({
+      stage: "rendering",
+      progress: RENDER_PROGRESS.rendering + span * fraction,
+    });
+}
+
+function removeFiles(paths) {
+  for (const p of paths) {
+    try {
+      if (p && fs.existsSync(p)) fs.unlinkSync(p);
+    } catch (_) {}
+  }
+}
+
+// Pipeline for /render: media download → (translation) → ffmpeg burn-in →
+// Cloudinary upload or a file under public/renders
+async function processRender(params, ctx) {
+  const {
+    transcriptId,
+    filePath = null,
+    mediaUrl = null,
+    targetLang = null,
+    translationProvider = null,
+    style = null,
+    speakerStyles = null,
+    targetScript = null,
+    delivery = "cloudinary",
+  } = params;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "render-"));
+  let tempFile = null;
+
+  try {
+    const transcript = getTranscript(transcriptId);
+    if (!transcript) throw new Error("Transcript not found: " + transcriptId);
+
+    let inputPath = filePath;
+    if (!inputPath || !fs.existsSync(inputPath)) {
+      tempFile = await downloadSourceMedia(
+        mediaUrl || transcript.sourceMedia?.url,
+        ctx
+      );
+      inputPath = tempFile;
+    }
+
+    const lang = targetLang ? normalizeLanguage(targetLang) : null;
+    ctx.update({ stage: "translating", progress: RENDER_PROGRESS.translating });
+    const segments = await transcriptCuesFor(
+      transcript,
+      lang,
+      translationProvider
+    );
+
+    const subtitlePath = path.join(workDir, "subtitles.ass");
+    fs.writeFileSync(
+      subtitlePath,
+      renderSubtitles(segments, "ass", {
+        language: lang || transcript.detectedLanguage,
+        targetScript: scriptFor(transcript, lang, targetScript),
+        speakerNames: transcript.speakers,
+        style: style || transcript.style,
+        speakerStyles: speakerStyles || transcript.speakerStyles,
+        segmentation: transcript.segmentation,
+        mediaDuration: transcript.duration,
+        fullText: transcript.text,
+      }),
+      "utf8"
+    );
+
+    const outName = `${transcriptId}-${lang || "source"}-${Date.now()}.mp4`;
+    const outPath = path.join(rendersDir, outName);
+    ctx.update({ stage: "rendering", progress: RENDER_PROGRESS.rendering });
+    console.log(`🎬 Burning ${lang || "source"} subtitles into ${outName}`);
+    await burnSubtitles({
+      inputPath,
+      subtitlePath,
+      outputPath: outPath,
+      duration: transcript.duration,
+      onProgress: ffmpegProgress(ctx),
+    });
+
+    const delivered = await deliverRender(outPath, delivery, ctx, [
+      transcriptId,
+    ]);
+    console.log("✅ Render ready:", delivered.videoUrl);
+    return { ok: true, transcriptId, targetLang: lang, ...delivered };
+  } finally {
+    removeFiles([filePath, tempFile]);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Pipeline for /mux: media download → one subtitle file per track → ffmpeg
+// stream copy into MP4/MKV → Cloudinary upload or public/renders
+async function processMux(params, ctx) {
+  const {
+    tracks,
+    filePath = null,
+    mediaUrl = null,
+    container = "mp4",
+    translationProvider = null,
+    delivery = "cloudinary",
+  } = params;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "mux-"));
+  let tempFile = null;
+
+  try {
+    const { ext } = getContainer(container);
+    const transcripts = tracks.map((t) => {
+      const transcript = getTranscript(t.transcriptId);
+      if (!transcript)
+        throw new Error("Transcript not found: " + t.transcriptId);
+      return transcript;
+    });
+
+    let inputPath = filePath;
+    if (!inputPath || !fs.existsSync(inputPath)) {
+      tempFile = await downloadSourceMedia(
+        mediaUrl ||
+          transcripts.find((t) => t.sourceMedia?.url)?.sourceMedia.url,
+        ctx
+      );
+      inputPath = tempFile;
+    }
+
+    ctx.update({ stage: "translating", progress: RENDER_PROGRESS.translating });
+    const muxTracks = [];
+    for (let i = 0; i < tracks.length; i++) {
+      const track = tracks[i];
+      const transcript = transcripts[i];
+      const lang = track.lang || null;
+      const segments = await transcriptCuesFor(
+        transcript,
+        lang,
+        translationProvider
+      );
+      const format = ext === "mkv" && track.format === "ass" ? "ass" : "srt";
+      const subtitlePath = path.join(workDir, `track-${i}.${format}`);
+      fs.writeFileSync(
+        subtitlePath,
+        renderSubtitles(segments, format, {
+          language: lang || transcript.detectedLanguage,
+          targetScript: scriptFor(transcript, lang, track.targetScript),
+          speakerNames: transcript.speakers,
+          style: transcript.style,
+          speakerStyles: transcript.speakerStyles,
+          segmentation: transcript.segmentation,
+          mediaDuration: transcript.duration,
+          fullText: transcript.text,
+        }),
+        "utf8"
+      );
+      muxTracks.push({
+        path: subtitlePath,
+        format,
+        language: lang || transcript.detectedLanguage,
+        title: track.title || null,
+        default: Boolean(track.default),
+        forced: Boolean(track.forced),
+      });
+    }
+
+    const outName = `${tracks[0].transcriptId}-mux-${Date.now()}.${ext}`;
+    const outPath = path.join(rendersDir, outName);
+    ctx.update({ stage: "rendering", progress: RENDER_PROGRESS.rendering });
+    console.log(
+      `📦 Muxing ${muxTracks.length} subtitle track(s) into ${outName}`
+    );
+    await muxSubtitles({
+      inputPath,
+      tracks: muxTracks,
+      container: ext,
+      outputPath: outPath,
+      duration: transcripts[0].duration,
+      onProgress: ffmpegProgress(ctx),
+    });
+
+    const delivered = await deliverRender(
+      outPath,
+      delivery,
+      ctx,
+      tracks.map((t) => t.transcriptId)
+    );
+    console.log("✅ Mux ready:", delivered.videoUrl);
+    return {
+      ok: true,
+      container: ext,
+      tracks: muxTracks.map(({ path: _, ...t }, i) => ({
+        transcriptId: tracks[i].transcriptId,
+        ...t,
+        language: toIso639_2(t.language),
+      })),
+      ...delivered,
+    };
+  } finally {
+    removeFiles([filePath, tempFile]);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+registerJobHandler("render", processRender);
+registerJobHandler("mux", processMux);
+
+// Shared by /render and /mux: optional multipart media `file`, mediaUrl and
+// delivery checks. Calls next(filePath, fail) once the upload is parsed.
+function withMediaUpload(req, res, next) {
+  upload.single("file")(req, res, (uploadErr) => {
+    if (uploadErr)
+      return res.status(400).json({ ok: false, error: uploadErr.message });
+    const filePath = req.file ? req.file.path : null;
+    const fail = (status, error) => {
+      removeFiles([filePath]);
+      return res.status(status).json({ ok: false, error });
+    };
+    const mediaUrl = req.body?.mediaUrl;
+    const delivery =
+      req.body?.delivery || process.env.RENDER_DELIVERY || "cloudinary";
+    if (!["cloudinary", "disk"].includes(delivery))
+      return fail(400, "delivery must be 'cloudinary' or 'disk'");
+    if (mediaUrl && !isExternalHttpUrl(mediaUrl))
+      return fail(400, "mediaUrl must be a public http(s) URL");
+    next({ filePath, mediaUrl: mediaUrl || null, delivery }, fail);
+  });
+}
+
+// Burn a stored transcript (optionally translated) into its source media.
+// Media comes from an uploaded `file`, `mediaUrl`, or the transcript's
+// stored source; the finished MP4 goes to Cloudinary or public/renders.
+app.post("/render", (req, res) => {
+  withMediaUpload(req, res, (media, fail) => {
+    const { transcriptId, targetLang } = req.body || {};
+    if (!transcriptId) return fail(400, "transcriptId required");
+    const transcript = getTranscript(String(transcriptId));
+    if (!transcript) return fail(404, "Transcript not found");
+    if (!media.filePath && !media.mediaUrl && !transcript.sourceMedia?.url)
+      return fail(
+        400,
+        "No source media: upload 'file' or pass mediaUrl for this transcript"
+      );
+
+    let styles;
+    let targetScript;
+    try {
+      styles = parseStyleOptions(req.body);
+      targetScript = parseTargetScript(req.body?.targetScript);
+      checkTranslationFor(
+        transcript,
+        targetLang ? normalizeLanguage(targetLang) : null,
+        req.body?.provider
+      );
+    } catch (err) {
+      return fail(400, err.message);
+    }
+
+    try {
+      const job = enqueueJob("render", {
+        transcriptId: transcript.id,
+        targetLang: targetLang || null,
+        translationProvider: req.body?.provider || null,
+        targetScript,
+        ...media,
+        ...styles,
+      });
+      return sendJobAccepted(res, job);
+    } catch (err) {
+      return fail(
+        500,
+        err && err.message ? err.message : "Could not queue render"
+      );
+    }
+  });
+});
+
+// Soft-mux stored transcripts as selectable subtitle tracks (no re-encode).
+// tracks: [{ transcriptId, lang?, title?, default?, forced?, format?,
+// targetScript? }] where `lang` picks a translation and `format`
+// ("srt" | "ass") applies to MKV.
+app.post("/mux", (req, res) => {
+  withMediaUpload(req, res, (media, fail) => {
+    let container;
+    let tracks;
+    try {
+      container = getContainer(req.body?.container || "mp4").ext;
+      tracks = parseJsonOption(req.body?.tracks, "tracks");
+    } catch (err) {
+      return fail(400, err.message);
+    }
+    if (!Array.isArray(tracks) || tracks.length === 0)
+      return fail(400, "tracks must be a non-empty array");
+
+    tracks = tracks.map((t) =>
+      typeof t === "string" ? { transcriptId: t } : t || {}
+    );
+    const transcripts = [];
+    for (const t of tracks) {
+      const transcript = getTranscript(String(t.transcriptId || ""));
+      if (!transcript)
+        return fail(404, `Transcript not found: ${t.transcriptId}`);
+      if (t.format && !["srt", "ass"].includes(String(t.format)))
+        return fail(400, "track format must be 'srt' or 'ass'");
+      try {
+        checkTranslationFor(
+          transcript,
+          t.lang ? normalizeLanguage(t.lang) : null,
+          req.body?.provider
+        );
+        t.targetScript = parseTargetScript(
+          t.targetScript || req.body?.targetScript
+        );
+      } catch (err) {
+        return fail(400, err.message);
+      }
+      transcripts.push(transcript);
+    }
+    if (
+      !media.filePath &&
+      !media.mediaUrl &&
+      !transcripts.some((t) => t.sourceMedia?.url)
+    )
+      return fail(
+        400,
+        "No source media: upload 'file' or pass mediaUrl for these transcripts"
+      );
+
+    try {
+      const job = enqueueJob("mux", {
+        container,
+        tracks: tracks.map((t, i) => ({
+          transcriptId: transcripts[i].id,
+          lang: t.lang ? normalizeLanguage(t.lang) : null,
+          title: t.title ? String(t.title) : null,
+          default: parseBooleanOption(t.default),
+          forced: parseBooleanOption(t.forced),
+          format: t.format || null,
+          targetScript: t.targetScript,
+        })),
+        translationProvider: req.body?.provider || null,
+        ...media,
+      });
+      return sendJobAccepted(res, job);
+    } catch (err) {
+      return fail(
+        500,
+        err && err.message ? err.message : "Could not queue mux"
+      );
+    }
+  });
+});
+
+// ============ SUBTITLE IMPORT ============
+// Parse an SRT/VTT/ASS file into a stored transcript that translation and
+// export can use by its transcriptId
+app.post("/import-subtitles", (req, res) => {
+  subtitleUpload.single("file")(req, res, async (uploadErr) => {
+    if (uploadErr)
+      return res.status(400).json({ ok: false, error: uploadErr.message });
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ ok: false, error: "No file uploaded. Use field 'file'" });
+
+    let parsed;
+    let segmentation;
+    let formats;
+    let styles;
+    let givenLanguage;
+    let targetScript;
+    let owner;
+    try {
+      parsed = parseSubtitleFile(req.file.buffer, {
+        format: req.body?.inputFormat || null,
+        filename: req.file.originalname,
+      });
+      segmentation = parseSegmentationOption(req.body?.segmentation);
+      formats = ["vtt", ...parseFormats(req.body?.format)];
+      styles = parseStyleOptions(req.body);
+      givenLanguage = req.body?.languageCode
+        ? normalizeLanguage(req.body.languageCode)
+        : null;
+      targetScript = parseTargetScript(req.body?.targetScript);
+      owner = parseOwnerOption(req);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+
+    try {
+      // only re-wrap/split the client's cues when a segmentation is asked for
+      const mediaDuration = Number(req.body?.mediaDuration) || null;
+      const { segments, report: timingReport } = normalizeTiming(
+        segmentation
+          ? fitSegments(parsed.segments, segmentation)
+          : parsed.segments,
+        { segmentation, mediaDuration }
+      );
+
+      // styles converted from an ASS file are used unless the request overrides them
+      if (!styles.style && parsed.style) {
+        try {
+          resolveStyle(parsed.style);
+          styles.style = parsed.style;
+        } catch (err) {
+          console.warn("⚠️ Ignoring imported ASS style:", err.message);
+        }
+      }
+      if (!styles.speakerStyles && parsed.speakerStyles) {
+        try {
+          Object.values(parsed.speakerStyles).forEach(resolveStyle);
+          styles.speakerStyles = parsed.speakerStyles;
+        } catch (err) {
+          console.warn("⚠️ Ignoring imported speaker styles:", err.message);
+        }
+      }
+
+      const text = segments.map((s) => s.text.replace(/\n/g, " ")).join(" ");
+      // a given languageCode wins; otherwise identify it from the cue text
+      const languageDetection = givenLanguage
+        ? null
+        : await identifySegmentsLanguage(segments);
+      const languageCode =
+        givenLanguage ||
+        (languageDetection?.reliable
+          ? resolveLanguage(languageDetection.language)?.code
+          : null);
+      const id = `import-${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+      const files = writeSubtitleFiles(subtitlesDir, id, segments, formats, {
+        speakerNames: parsed.speakers,
+        language: languageCode || null,
+        targetScript,
+        segmentation,
+        mediaDuration,
+        ...styles,
+      });
+
+      saveTranscript({
+        id,
+        provider: "import",
+        text,
+        segments,
+        speakers: parsed.speakers,
+        detectedLanguage: languageCode || null,
+        segmentation,
+        duration: mediaDuration,
+        wordTimings: false,
+        style: styles.style,
+        speakerStyles: styles.speakerStyles,
+        targetScript,
+        owner,
+        vttFilename: files.vtt,
+        files,
+        source: { filename: req.file.originalname, format: parsed.format },
+      });
+
+      console.log(
+        `📥 Imported ${parsed.format.toUpperCase()} (${
+          segments.length
+        } cues) as ${id}`
+      );
+      return res.json({
+        ok: true,
+        transcriptId: id,
+        format: parsed.format,
+        detectedLanguage: languageCode || null,
+        languageDetection,
+        speakers: parsed.speakers,
+        segments: transliterateSegments(segments, targetScript, {
+          language: languageCode,
+        }),
+        vttUrl: `/subtitles/${files.vtt}`,
+        subtitleUrls: subtitleUrls(files),
+        timingReport,
+      });
+    } catch (err) {
+      console.error(
+        "❌ Error in /import-subtitles:",
+        err && err.message ? err.message : err
+      );
+      return res.status(500).json({
+        ok: false,
+        error: err && err.message ? err.message : "Could not import subtitles",
+      });
+    }
+  });
+});
+
+// ============ SUBTITLE EXPORT ============
+// Render a stored transcript on demand, e.g. /subtitles/<transcriptId>.srt
+// (files written to public/subtitles are served by the static handler first)
+app.get("/subtitles/:id.:ext", (req, res) => {
+  let format;
+  try {
+    format = getSubtitleFormat(req.params.ext);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+
+  let styles;
+  let targetScript;
+  try {
+    styles = parseStyleOptions({
+      style: req.query.style || transcript.style,
+      speakerStyles: req.query.speakerStyles || transcript.speakerStyles,
+    });
+    targetScript = parseTargetScript(
+      req.query.targetScript || transcript.targetScript
+    );
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+
+  // ?version= exports an older (or newer than pinned) version of the cues
+  const segments = transcriptSegments(
+    transcript,
+    req.query.version ? Number(req.query.version) : null
+  );
+  if (!segments)
+    return res.status(404).json({ ok: false, error: "Version not found" });
+
+  const body = renderSubtitles(segments, format.ext, {
+    speakerNames: transcript.speakers,
+    wordTimings:
+      req.query.wordTimings !== undefined
+        ? parseBooleanOption(req.query.wordTimings)
+        : transcript.wordTimings,
+    language: transcript.detectedLanguage,
+    targetScript,
+    fullText: transcript.text,
+    segmentation: transcript.segmentation,
+    mediaDuration: transcript.duration,
+    ...styles,
+  });
+
+  res.set("Content-Type", `${format.contentType}; charset=utf-8`);
+  res.set("Cache-Control", "no-store");
+  if (parseBooleanOption(req.query.download)) {
+    res.attachment(`${transcript.id}.${format.ext}`);
+  }
+  return res.send(body);
+});
+
+// ============ STYLE PRESETS ============
+app.get("/styles", (req, res) => res.json({ ok: true, styles: listStyles() }));
+
+app.put("/styles/:name", (req, res) => {
+  try {
+    const style = saveStyle(req.params.name, req.body || {});
+    return res.json({ ok: true, name: req.params.name.toLowerCase(), style });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/styles/:name", (req, res) => {
+  if (!deleteStyle(req.params.name))
+    return res
+      .status(404)
+      .json({ ok: false, error: "No stored style with that name" });
+  return res.json({ ok: true });
+});
+
+// ============ LANGUAGE IDENTIFICATION ============
+// { text } or { segments: [{ text }] } → ranked candidates with confidence
+app.post("/detect-language", async (req, res) => {
+  const { text, segments } = req.body || {};
+  if (!text && !Array.isArray(segments))
+    return res
+      .status(400)
+      .json({ ok: false, error: "Provide text or segments" });
+  try {
+    const limit = Math.min(20, Math.max(1, parseInt(req.body?.limit, 10) || 5));
+    const result = text
+      ? await identifyLanguage(String(text), { limit })
+      : await identifySegmentsLanguage(segments, { limit });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// ============ GLOSSARIES ============
+app.get("/glossaries", (req, res) =>
+  res.json({ ok: true, glossaries: listGlossaries() })
+);
+
+app.get("/glossaries/:name", (req, res) => {
+  const glossary = getGlossary(req.params.name);
+  if (!glossary)
+    return res.status(404).json({ ok: false, error: "Glossary not found" });
+  return res.json({ ok: true, name: req.params.name.toLowerCase(), glossary });
+});
+
+// { terms: [{ source: "Black Friday", targets: { fr: "Black Friday" } }],
+//   protected: ["Zara"] }
+app.put("/glossaries/:name", (req, res) => {
+  try {
+    const glossary = saveGlossary(req.params.name, req.body || {});
+    return res.json({
+      ok: true,
+      name: req.params.name.toLowerCase(),
+      glossary,
+    });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/glossaries/:name", (req, res) => {
+  if (!deleteGlossary(req.params.name))
+    return res.status(404).json({ ok: false, error: "Glossary not found" });
+  return res.json({ ok: true });
+});
+
+// ============ TRANSLATION MEMORY ============
+const memoryFilters = (query) => ({
+  sourceLang: query.sourceLang || null,
+  targetLang: query.targetLang || null,
+  provider: query.provider || null,
+  origin: query.origin || null,
+  q: query.q || null,
+});
+
+// ?sourceLang=&targetLang=&provider=&origin=human|machine&q=&offset=&limit=
+app.get("/translation-memory", (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(
+    500,
+    Math.max(1, parseInt(req.query.limit, 10) || 100)
+  );
+  const { total, entries } = listMemoryEntries(memoryFilters(req.query), {
+    offset,
+    limit,
+  });
+  return res.json({ ok: true, total, offset, limit, entries });
+});
+
+// Save a human correction: { source, target, sourceLang, targetLang }
+app.post("/translation-memory", (req, res) => {
+  const { source, target, sourceLang, targetLang } = req.body || {};
+  try {
+    const entry = rememberTranslation({
+      source,
+      target,
+      sourceLang: normalizeLanguage(sourceLang),
+      targetLang: targetLang ? normalizeLanguage(targetLang) : null,
+      provider: HUMAN,
+    });
+    return res.json({ ok: true, entry });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/translation-memory/:id", (req, res) => {
+  const entry = getMemoryEntry(req.params.id);
+  if (!entry) return res.status(404).json({ ok: false, error: "Not found" });
+  return res.json({ ok: true, entry });
+});
+
+// Correct a stored translation ({ target }); it becomes a human entry
+app.patch("/translation-memory/:id", (req, res) => {
+  try {
+    const entry = updateMemoryEntry(req.params.id, req.body?.target);
+    if (!entry) return res.status(404).json({ ok: false, error: "Not found" });
+    return res.json({ ok: true, entry });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/translation-memory/:id", (req, res) => {
+  if (!deleteMemoryEntry(req.params.id))
+    return res.status(404).json({ ok: false, error: "Not found" });
+  return res.json({ ok: true });
+});
+
+// Purge entries matching the same filters as the listing; ?all=true to
+// empty the whole memory
+app.delete("/translation-memory", (req, res) => {
+  const filters = memoryFilters(req.query);
+  if (
+    !Object.values(filters).some(Boolean) &&
+    !parseBooleanOption(req.query.all)
+  )
+    return res.status(400).json({
+      ok: false,
+      error:
+        "Pass a filter (sourceLang, targetLang, provider, origin, q) or all=true",
+    });
+  return res.json({ ok: true, deleted: purgeMemory(filters) });
+});
+
+// ============ RETENTION ============
+// What a sweep would remove right now, without removing anything
+app.get("/retention/report", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await sweepRetention({ dryRun: true })) });
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// Run a sweep now instead of waiting for the next scheduled one
+app.post("/retention/sweep", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await sweepRetention()) });
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// ============ SEGMENTATION ============
+app.get("/segmentation-presets", (req, res) =>
+  res.json({ ok: true, presets: listSegmentationPresets() })
+);
+
+// ============ JOBS ============
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, job });
+});
+
+// ============ TRANSCRIPTS ============
+// Listing filters; throws on unknown languages and invalid dates
+function transcriptFilters(query) {
+  const date = (value, name) => {
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`${name} must be a date`);
+    return new Date(time).toISOString();
+  };
+  return {
+    owner: query.owner || null,
+    provider: query.provider || null,
+    language: query.language ? normalizeLanguage(query.language) : null,
+    translatedTo: query.translatedTo
+      ? normalizeLanguage(query.translatedTo)
+      : null,
+    since: date(query.since, "since"),
+    until: date(query.until, "until"),
+    q: query.q || null,
+  };
+}
+
+// Subtitle files written for a transcript and its translations
+function transcriptFiles(transcript) {
+  const names = Object.values(transcript.files || {});
+  for (const tr of Object.values(transcript.translations || {}))
+    names.push(...Object.values(tr.files || {}));
+  return [...new Set(names)]
+    .filter((name) => name && name === path.basename(name))
+    .map((name) => path.join(subtitlesDir, name));
+}
+
+// ?owner=&provider=&language=&translatedTo=&since=&until=&q=&offset=&limit=
+app.get("/transcripts", (req, res) => {
+  let filters;
+  try {
+    filters = transcriptFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const { total, transcripts } = listTranscripts(filters, { offset, limit });
+  return res.json({ ok: true, total, offset, limit, transcripts });
+});
+
+// The full record: cues (with word timing), speakers, source media and
+// translations, plus URLs of the files written for it
+app.get("/transcripts/:id", (req, res) => {
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  const translations = {};
+  for (const [lang, tr] of Object.entries(transcript.translations || {}))
+    translations[lang] = { ...tr, subtitleUrls: subtitleUrls(tr.files) };
+  return res.json({
+    ok: true,
+    transcript: {
+      ...transcript,
+      subtitleUrls: subtitleUrls(transcript.files),
+      translations,
+    },
+  });
+});
+
+// Remove a transcript with its subtitle files (?keepFiles=true keeps them);
+// source media is left alone
+app.delete("/transcripts/:id", (req, res) => {
+  const transcript = deleteTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  const files = parseBooleanOption(req.query.keepFiles)
+    ? []
+    : transcriptFiles(transcript).filter((file) => fs.existsSync(file));
+  removeFiles(files);
+  console.log(
+    `🗑️ Deleted transcript ${transcript.id} (${files.length} subtitle files)`
+  );
+  return res.json({ ok: true, deletedFiles: files.length });
+});
+
+// Rewrite the subtitle files written for a transcript from its current
+// cues (see transcriptVersion); resolves to its { ext: filename } files
+async function rewriteTranscriptFiles(transcript) {
+  const files =
+    transcript.files ||
+    (transcript.vttFilename ? { vtt: transcript.vttFilename } : {});
+  const segments = transcriptSegments(transcript) || transcript.segments;
+  for (const [ext, filename] of Object.entries(files)) {
+    await fsPromises.writeFile(
+      path.join(subtitlesDir, filename),
+      renderSubtitles(segments, ext, {
+        speakerNames: transcript.speakers,
+        wordTimings: transcript.wordTimings,
+        language: transcript.detectedLanguage,
+        targetScript: transcript.targetScript,
+        fullText: transcript.text,
+        style: transcript.style,
+        speakerStyles: transcript.speakerStyles,
+        segmentation: transcript.segmentation,
+        mediaDuration: transcript.duration,
+      }),
+      "utf8"
+    );
+  }
+  return files;
+}
+
+// Store edited cues as a new version: timing is normalized as for any new
+// cues, the record's text follows the cues, and new speaker labels get names.
+// Resolves to the response body.
+async function saveEditedCues(transcript, cues, meta) {
+  const { segments, report: timingReport } = normalizeTiming(cues, {
+    segmentation: transcript.segmentation,
+    mediaDuration: transcript.duration,
+  });
+  const speakers = { ...(transcript.speakers || {}) };
+  for (const seg of segments)
+    if (seg.speaker && !(seg.speaker in speakers))
+      speakers[seg.speaker] = speakerDisplayName(seg.speaker);
+  const updated = saveTranscriptVersion(
+    transcript.id,
+    segments,
+    {
+      speakers,
+      text: segments.map((seg) => seg.text.replace(/\n/g, " ")).join(" "),
+    },
+    meta
+  );
+  const files = await rewriteTranscriptFiles(updated);
+  console.log(`✏️ Saved version ${updated.version} of ${updated.id}`);
+  return {
+    ok: true,
+    transcriptId: updated.id,
+    version: updated.version,
+    pinnedVersion: updated.pinnedVersion || null,
+    segments: updated.wordTimings ? segments : withoutWords(segments),
+    timingReport,
+    vttUrl: files.vtt
+      ? `/subtitles/${encodeURIComponent(files.vtt)}?cb=${Date.now()}`
+      : null,
+    subtitleUrls: subtitleUrls(files),
+  };
+}
+
+// Who made a version and why: { note?, author? } from the request body
+const versionMeta = (body = {}) => ({
+  note: body.note ? String(body.note).slice(0, 500) : null,
+  author: body.author ? String(body.author).slice(0, 128) : null,
+});
+
+// Edit the latest version's cues: { operations: [{ op: "edit" | "insert" |
+// "delete" | "merge" | "split", index, ... }] (see cueEdits.js),
+// baseVersion?, note?, author? }. One request makes one new version; with
+// baseVersion the save is refused (409) if someone saved since.
+app.post("/transcripts/:id/edits", async (req, res) => {
+  try {
+    const transcript = getTranscript(req.params.id);
+    if (!transcript)
+      return res.status(404).json({ ok: false, error: "Transcript not found" });
+
+    const latest = transcript.version || 1;
+    const base = req.body?.baseVersion;
+    if (base !== undefined && base !== null && Number(base) !== latest)
+      return res.status(409).json({
+        ok: false,
+        error: `Transcript changed since version ${base}: latest is ${latest}`,
+        version: latest,
+      });
+
+    let cues;
+    try {
+      cues = applyCueEdits(transcript.segments || [], req.body?.operations);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    return res.json(
+      await saveEditedCues(transcript, cues, {
+        operations: req.body.operations.map((op) => op.op),
+        ...versionMeta(req.body),
+      })
+    );
+  } catch (err) {
+    console.error(
+      "❌ edit cues error:",
+      err && err.message ? err.message : err
+    );
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+app.get("/transcripts/:id/versions", (req, res) => {
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  return res.json({
+    ok: true,
+    transcriptId: transcript.id,
+    latest: transcript.version || 1,
+    pinnedVersion: transcript.pinnedVersion || null,
+    versions: listTranscriptVersions(transcript),
+  });
+});
+
+app.get("/transcripts/:id/versions/:version", (req, res) => {
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  const version = getTranscriptVersion(transcript, req.params.version);
+  if (!version)
+    return res.status(404).json({ ok: false, error: "Version not found" });
+  return res.json({ ok: true, transcriptId: transcript.id, version });
+});
+
+// Cue-by-cue differences between two versions: ?from=&to= (default: the
+// latest version against the one before it)
+app.get("/transcripts/:id/diff", (req, res) => {
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  const latest = transcript.version || 1;
+  const to = req.query.to ? Number(req.query.to) : latest;
+  const from = req.query.from ? Number(req.query.from) : Math.max(1, to - 1);
+  const a = getTranscriptVersion(transcript, from);
+  const b = getTranscriptVersion(transcript, to);
+  if (!a || !b)
+    return res.status(404).json({ ok: false, error: "Version not found" });
+  return res.json({
+    ok: true,
+    transcriptId: transcript.id,
+    from,
+    to,
+    ...diffCues(a.segments, b.segments),
+  });
+});
+
+// Make an old version's cues the latest again, as a new version
+app.post("/transcripts/:id/versions/:version/restore", async (req, res) => {
+  try {
+    const transcript = getTranscript(req.params.id);
+    if (!transcript)
+      return res.status(404).json({ ok: false, error: "Transcript not found" });
+    const version = getTranscriptVersion(transcript, req.params.version);
+    if (!version)
+      return res.status(404).json({ ok: false, error: "Version not found" });
+    return res.json(
+      await saveEditedCues(transcript, version.segments, {
+        operations: ["restore"],
+        restoredFrom: version.version,
+        ...versionMeta(req.body),
+      })
+    );
+  } catch (err) {
+    console.error(
+      "❌ restore version error:",
+      err && err.message ? err.message : err
+    );
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// Pin the version exports, renders and translations use ({ version }), or
+// follow the latest again ({ version: null })
+app.put("/transcripts/:id/pinned-version", async (req, res) => {
+  try {
+    const transcript = getTranscript(req.params.id);
+    if (!transcript)
+      return res.status(404).json({ ok: false, error: "Transcript not found" });
+    const wanted = req.body?.version;
+    let pinnedVersion = null;
+    if (wanted !== undefined && wanted !== null && wanted !== "") {
+      const version = getTranscriptVersion(transcript, wanted);
+      if (!version)
+        return res.status(404).json({ ok: false, error: "Version not found" });
+      pinnedVersion = version.version;
+    }
+    const updated = updateTranscript(transcript.id, { pinnedVersion });
+    const files = await rewriteTranscriptFiles(updated);
+    return res.json({
+      ok: true,
+      transcriptId: updated.id,
+      latest: updated.version || 1,
+      pinnedVersion,
+      subtitleUrls: subtitleUrls(files),
+    });
+  } catch (err) {
+    console.error(
+      "❌ pin version error:",
+      err && err.message ? err.message : err
+    );
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// Keep a transcript out of retention sweeps ({ pinned: true }) or let its
+// old versions and media expire again ({ pinned: false })
+app.put("/transcripts/:id/pin", (req, res) => {
+  const transcript = getTranscript(req.params.id);
+  if (!transcript)
+    return res.status(404).json({ ok: false, error: "Transcript not found" });
+  if (typeof req.body?.pinned !== "boolean")
+    return res
+      .status(400)
+      .json({ ok: false, error: "pinned must be true or false" });
+  const updated = updateTranscript(transcript.id, {
+    pinned: req.body.pinned,
+  });
+  return res.json({
+    ok: true,
+    transcriptId: updated.id,
+    pinned: updated.pinned,
+  });
+});
+
+// Rename diarization labels ({ speakers: { A: "Alice" } }) across a transcript
+app.patch("/transcripts/:id/speakers", async (req, res) => {
+  try {
+    const transcript = getTranscript(req.params.id);
+    if (!transcript)
+      return res.status(404).json({ ok: false, error: "Transcript not found" });
+
+    const names = req.body?.speakers;
+    if (!names || typeof names !== "object" || Array.isArray(names)) {
+      return res.status(400).json({
+        ok: false,
+        error: "speakers must be an object mapping labels to names",
+      });
+    }
+
+    const known = transcript.speakers || {};
+    const speakerNames = { ...known };
+    for (const [label, name] of Object.entries(names)) {
+      if (!(label in known)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `Unknown speaker label: ${label}` });
+      }
+      const trimmed = typeof name === "string" ? name.trim() : "";
+      if (!trimmed || trimmed.length > 100) {
+        return res.status(400).json({
+          ok: false,
+          error: `Invalid name for speaker ${label}`,
+        });
+      }
+      speakerNames[label] = trimmed;
+    }
+
+    const updated = updateTranscript(transcript.id, { speakers: speakerNames });
+
+    // Rewrite the stored files so existing subtitle links pick up the new names
+    const files = await rewriteTranscriptFiles(updated);
+    const vttUrl = files.vtt
+      ? `/subtitles/${encodeURIComponent(files.vtt)}?cb=${Date.now()}`
+      : null;
+
+    return res.json({
+      ok: true,
+      transcriptId: updated.id,
+      speakers: speakerNames,
+      // the pinned version's cues when one is pinned, like the files
+      segments: updated.wordTimings
+        ? transcriptSegments(updated)
+        : withoutWords(transcriptSegments(updated)),
+      vttUrl,
+      subtitleUrls: subtitleUrls(files),
+    });
+  } catch (err) {
+    console.error(
+      "❌ rename speakers error:",
+      err && err.message ? err.message : err
+    );
+    return res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+// ============ TRANSLATION ROUTE ============
+/**
+ * Provider for a srcLang → tgtLang translation: `name` from the request or
+ * the default. Throws when it is unknown, does not support the pair, or
+ * only translates its own transcripts and `transcript` is not one of them
+ * or has been edited (such providers only see the original utterances).
+ */
+function resolveTranslationProvider(name, srcLang, tgtLang, transcript = null) {
+  const provider = getTranslationProvider(name);
+  if (!provider.supportsPair(srcLang || "auto", tgtLang))
+    throw new Error(
+      `Translation provider '${provider.name}' does not support ${
+        srcLang || "auto"
+      } → ${tgtLang}`
+    );
+  if (
+    provider.kind === "transcript" &&
+    (!transcript || transcript.provider !== provider.name)
+  )
+    throw new Error(
+      `Translation provider '${provider.name}' only translates transcripts it transcribed`
+    );
+  if (provider.kind === "transcript" && transcriptVersion(transcript) > 1)
+    throw new Error(
+      `Translation provider '${provider.name}' cannot translate edited transcripts; choose a text provider`
+    );
+  return provider;
+}
+
+// Stored glossary `name` (null without one) for translations with provider
+// `providerName`; throws when it is unknown or the provider cannot apply it
+function resolveGlossary(name, providerName) {
+  if (!name) return null;
+  const glossary = getGlossary(name);
+  if (!glossary) throw new Error(`Unknown glossary: ${name}`);
+  const provider = getTranslationProvider(providerName);
+  if (provider.kind !== "text")
+    throw new Error(
+      `Glossaries need a text translation provider, not '${provider.name}'`
+    );
+  return glossary;
+}
+
+/**
+ * Translate cues with a translation provider. Text providers get cues from
+ * the translation memory when it has them and neighbouring cues packed into
+ * batched requests (see batchTranslator.js) otherwise, keeping timing and
+ * speakers; with a `glossary` its terms are masked before the provider call
+ * and forced afterwards. Transcript providers translate the stored
+ * `transcript` and bring their own cue timing.
+ * Every cue gets `translation: { translated, status, provider, memory? }`
+ * (statuses from translationQuality.js); cues an engine answered with an
+ * error message or nothing keep their source text.
+ * Resolves to { segments, quality, glossaryWarnings: [{ cue, start, end,
+ * term, expected }] } where the warnings list the source cues where a
+ * glossary term could not be enforced.
+ */
+async function translateSegments(
+  segments,
+  srcLang,
+  tgtLang,
+  provider,
+  { transcript = null, glossary = null } = {}
+) {
+  if (provider.kind === "transcript") {
+    const result = await provider.translateTranscript({
+      transcriptId: transcript.id,
+      target: tgtLang,
+    });
+    console.log(
+      `[translate] ${provider.name}: ${result.segments.length} translated cues`
+    );
+    // cues the provider filled with the whole text or the source utterance
+    // were not translated on their own
+    const statuses = result.segments.map((seg) => {
+      const status = classifyCue(seg.source, seg.text);
+      return seg.fallback && status === "translated" ? "unchanged" : status;
+    });
+    return {
+      segments: result.segments.map(({ source, fallback, ...seg }, i) => ({
+        ...seg,
+        translation: {
+          translated: statuses[i] === "translated",
+          status: statuses[i],
+          provider: provider.name,
+        },
+      })),
+      quality: summarizeQuality(statuses),
+      glossaryWarnings: [],
+    };
+  }
+
+  const sources = segments.map((seg) => seg.text || "");
+  const texts = sources.slice();
+  const unenforced = sources.map(() => []);
+  const memoryHits = sources.map(() => null);
+  const misses = [];
+  sources.forEach((text, i) => {
+    const hit = lookupTranslation(text, srcLang, tgtLang, provider.name);
+    const missing =
+      hit && glossary
+        ? unenforcedTerms(text, hit.target, glossary, tgtLang)
+        : [];
+    // machine output from before the glossary existed is translated again
+    if (hit && (!missing.length || hit.origin === HUMAN)) {
+      texts[i] = hit.target;
+      unenforced[i] = missing;
+      memoryHits[i] = hit;
+    } else misses.push(i);
+  });
+
+  // glossary terms per cue; quality checks leave them out (see classifyCue)
+  const maskedCues = sources.map((text) =>
+    glossary ? maskTerms(text, glossary, tgtLang) : { text, terms: [] }
+  );
+  const cueTerms = maskedCues.map((m) => m.terms);
+  const masked = misses.map((i) => maskedCues[i]);
+  const { texts: translated, stats } = await translateInBatches(
+    masked.map((m) => m.text),
+    (text) => provider.translate(text, srcLang || "auto", tgtLang),
+    { maxBytes: provider.maxBatchBytes }
+  );
+  misses.forEach((i, k) => {
+    const restored = restoreTerms(translated[k], masked[k].terms);
+    texts[i] = restored.text;
+    unenforced[i] = restored.missing;
+    // only remember real translations with every glossary term in place
+    if (classifyCue(sources[i], restored.text, cueTerms[i]) !== "translated")
+      return;
+    if (restored.missing.length) return;
+    const source = sources[i].replace(/\s+/g, " ").trim();
+    try {
+      rememberTranslation({
+        source,
+        target: restored.text,
+        sourceLang: srcLang,
+        targetLang: tgtLang,
+        provider: provider.name,
+      });
+    } catch (err) {
+      console.warn(
+        "⚠️ Could not store translation memory entry:",
+        err && err.message ? err.message : err
+      );
+    }
+  });
+  const remembered = sources.length - misses.length;
+  console.log(
+    `[translate] ${provider.name}: ${remembered} cues from memory, ${stats.cues} in ${stats.batches} batches (${stats.fallbackBatches} re-sent cue by cue)`
+  );
+
+  // human corrections are trusted even when they match the source
+  const statuses = sources.map((text, i) =>
+    memoryHits[i]?.origin === HUMAN
+      ? "translated"
+      : classifyCue(text, texts[i], cueTerms[i])
+  );
+  statuses.forEach((status, i) => {
+    // an engine's error message is worse than the untranslated cue
+    if (status === "error" || status === "empty") texts[i] = sources[i];
+  });
+  const quality = summarizeQuality(statuses, { fromMemory: remembered });
+  if (!quality.complete)
+    console.warn(
+      `⚠️ [translate] ${srcLang} → ${tgtLang}: ${quality.unchanged} cues unchanged, ${quality.error} error texts, ${quality.empty} empty`
+    );
+
+  const glossaryWarnings = [];
+  unenforced.forEach((terms, i) =>
+    terms.forEach((t) =>
+      glossaryWarnings.push({
+        cue: i,
+        start: segments[i].start,
+        end: segments[i].end,
+        term: t.source,
+        expected: t.target,
+      })
+    )
+  );
+
+  return {
+    // source word timing does not apply to the translated text
+    segments: segments.map(({ words, ...cue }, i) => ({
+      ...cue,
+      text: texts[i],
+      translation: {
+        translated: statuses[i] === "translated",
+        status: statuses[i],
+        provider: memoryHits[i] ? memoryHits[i].provider : provider.name,
+        ...(memoryHits[i] ? { memory: true } : {}),
+      },
+    })),
+    quality,
+    glossaryWarnings,
+  };
+}
+
+// Languages each translation provider handles and whether it is configured
+app.get("/translation-providers", (req, res) => {
+  res.json({
+    ok: true,
+    default: getTranslationProvider().name,
+    providers: listTranslationProviders(),
+  });
+});
+
+// Language registry for the frontend's pickers, with what each provider supports
+app.get("/languages", (req, res) => {
+  res.json({
+    ok: true,
+    languages: listLanguages({
+      transcription: listTranscriptionProviders().map(getTranscriptionProvider),
+      translation: listTranslationProviders().map((p) =>
+        getTranslationProvider(p.name)
+      ),
+    }),
+    // scripts accepted as `targetScript` by translation and the exporters
+    scripts: listScripts(),
+  });
+});
+
+// `targetLangs`: ["fr", "de"], a JSON array string or "fr,de"; falls back
+// to the single `targetLang`. Throws on languages that cannot be resolved.
+function parseTargetLangs(body = {}) {
+  let list = parseJsonOption(body.targetLangs, "targetLangs");
+  if (typeof list === "string") list = list.split(",");
+  if (list === undefined || list === null || list === "")
+    list = body.targetLang ? [body.targetLang] : [];
+  if (!Array.isArray(list))
+    throw new Error("targetLangs must be an array of language codes");
+  const langs = [];
+  for (const value of list) {
+    const lang = normalizeLanguage(value);
+    if (lang === "auto") throw new Error(`Unknown target language: ${value}`);
+    if (!langs.includes(lang)) langs.push(lang);
+  }
+  return langs;
+}
+
+app.post("/translate-subtitles", async (req, res) => {
+  try {
+    const {
+      segments,
+      detectedLanguage,
+      transcriptId,
+      provider: providerName,
+      glossary: glossaryName,
+    } = req.body || {};
+
+    const multiTarget = req.body?.targetLangs !== undefined;
+    let tgtLangs;
+    try {
+      tgtLangs = parseTargetLangs(req.body);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    if (tgtLangs.length === 0) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "targetLang or targetLangs required" });
+    }
+
+    console.log("[translate-subtitles] incoming payload:", {
+      segmentsCount: Array.isArray(segments) ? segments.length : 0,
+      targetLangs: tgtLangs,
+      detectedLanguage,
+      provider: providerName || null,
+      transcriptId: transcriptId
+        ? String(transcriptId).slice(0, 12) + "..."
+        : null,
+    });
+
+    let cueOptions;
+    let formats;
+    let styles;
+    let srcLang;
+    let targetScript;
+    try {
+      cueOptions = resolveSegmentation(req.body?.segmentation);
+      formats = ["vtt", ...parseFormats(req.body?.format)];
+      styles = parseStyleOptions(req.body);
+      targetScript = parseTargetScript(req.body?.targetScript);
+      getTranslationProvider(providerName);
+      // start with provided detectedLanguage or 'auto'
+      srcLang = normalizeLanguage(detectedLanguage);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+
+    // bounds the translated cues when known (stored transcript / request)
+    let mediaDuration = Number(req.body?.mediaDuration) || null;
+    let sourceTranscript = null;
 
     // If segments exist, try quick script-based detection when srcLang is 'auto' or suspicious
     let toTranslateSegments = Array.isArray(segments) ? segments.slice() : [];
@@ -732,42 +2587,34 @@ app.post("/translate-subtitles", async (req, res) => {
       (!toTranslateSegments || toTranslateSegments.length === 0) &&
       transcriptId
     ) {
-      // attempt to fetch transcript words via AssemblyAI to build segments (only to build segments - we will still use MyMemory for translation)
-      try {
-        const API_KEY = process.env.ASSEMBLYAI_API_KEY;
-        if (API_KEY) {
-          const tRes = await axios.get(
-            `https://api.assemblyai.com/v2/transcript/${transcriptId}`,
-            {
-              headers: { Authorization: API_KEY },
-              timeout: 10000,
-            }
-          );
-          const transcript = tRes.data || {};
-          const built = [];
-
-          if (Array.isArray(transcript.words) && transcript.words.length > 0) {
-            let seg = {
-              start: transcript.words[0].start / 1000,
-              end: null,
-              text: "",
-            };
-            let blockTime = seg.start;
-            for (const w of transcript.words) {
-              if (seg.text.length) seg.text += " ";
-              seg.text += w.text || w.word || "";
-              seg.end = (w.end || w.to) / 1000;
-              if (seg.end - blockTime > 5) {
-                built.push({ ...seg });
-                seg = {
-                  start: (w.start || w.from) / 1000,
-                  end: (w.end || w.to) / 1000,
-                  text: w.text || w.word || "",
-                };
-                blockTime = seg.start;
-              }
-            }
-            if (seg.text) built.push({ ...seg });
+      // prefer the stored (already segmented) transcript, else rebuild
+      // segments from AssemblyAI's words
+      const stored = getTranscript(String(transcriptId));
+      const storedCues = stored ? transcriptSegments(stored) : null;
+      if (Array.isArray(storedCues) && storedCues.length) {
+        sourceTranscript = stored;
+        toTranslateSegments = withoutWords(storedCues);
+        if (srcLang === "auto" && stored.detectedLanguage)
+          srcLang = knownLanguage(stored.detectedLanguage);
+        mediaDuration = mediaDuration || stored.duration || null;
+        // keep speaker names and ASS styles of the source transcript
+        styles = {
+          speakerNames: stored.speakers || {},
+          style: styles.style || stored.style || null,
+          speakerStyles: styles.speakerStyles || stored.speakerStyles || null,
+        };
+        console.log(
+          `[translate-subtitles] using ${storedCues.length} stored segments for ${transcriptId}`
+        );
+      } else if (process.env.ASSEMBLYAI_API_KEY) {
+        try {
+          const transcript = await assemblyai.getTranscript(transcriptId);
+          const words = assemblyai.normalizeWords(transcript.words);
+          mediaDuration = mediaDuration || transcript.audio_duration || null;
+          let built = [];
+
+          if (words.length > 0) {
+            built = withoutWords(segmentWords(words, cueOptions));
           } else if (transcript.text) {
             built.push({
               start: 0,
@@ -786,51 +2633,39 @@ app.post("/translate-subtitles", async (req, res) => {
               "[translate-subtitles] transcript fetch returned no usable segments"
             );
           }
-        } else {
+        } catch (err) {
           console.warn(
-            "[translate-subtitles] no AssemblyAI API key; cannot fetch transcript by id"
+            "[translate-subtitles] fetching transcript by id failed:",
+            err && err.message ? err.message : err
           );
         }
-      } catch (err) {
+      } else {
         console.warn(
-          "[translate-subtitles] fetching transcript by id failed:",
-          err && err.message ? err.message : err
+          "[translate-subtitles] no AssemblyAI API key; cannot fetch transcript by id"
         );
       }
     }
 
-    // If srcLang is 'auto' or obviously incorrect (e.g., 'en' while script is Devanagari), try inferring from the first few segments
+    // no source language given or stored: identify it from the cue text
+    // (a provided language is never overridden)
+    let languageDetection = null;
     if (
-      (!srcLang || srcLang === "auto" || srcLang === "en") &&
+      (!srcLang || srcLang === "auto") &&
       Array.isArray(toTranslateSegments) &&
       toTranslateSegments.length > 0
     ) {
-      const votes = {};
-      for (let i = 0; i < Math.min(8, toTranslateSegments.length); i++) {
-        const s =
-          toTranslateSegments[i] && toTranslateSegments[i].text
-            ? toTranslateSegments[i].text
-            : "";
-        const guess = detectScriptFromTextSample(s);
-        if (guess) votes[guess] = (votes[guess] || 0) + 1;
-      }
-      const winners = Object.keys(votes).sort((a, b) => votes[b] - votes[a]);
-      if (winners.length > 0) {
-        const inferred = winners[0];
-        // choose inferred only if it has at least one vote and differs from current srcLang
-        if (inferred && inferred !== srcLang) {
-          console.log(
-            `[translate-subtitles] inferred srcLang='${inferred}' from text script votes`,
-            votes
-          );
-          srcLang = inferred;
-        }
+      languageDetection = await identifySegmentsLanguage(toTranslateSegments);
+      if (languageDetection.reliable) {
+        srcLang = knownLanguage(languageDetection.language);
+        console.log(
+          `[translate-subtitles] identified srcLang='${srcLang}' (confidence ${languageDetection.confidence})`
+        );
       }
     }
 
     srcLang = srcLang || "auto";
     console.log(
-      `[translate-subtitles] using srcLang='${srcLang}' → tgtLang='${tgtLang}'`
+      `[translate-subtitles] using srcLang='${srcLang}' → ${tgtLangs}`
     );
 
     if (
@@ -843,72 +2678,190 @@ app.post("/translate-subtitles", async (req, res) => {
       });
     }
 
-    // If detected source and target are the same (and not 'auto'), skip translation to avoid MyMemory same-language error
-    const simpleSrc = String(srcLang || "auto").toLowerCase();
-    const simpleTgt = String(tgtLang || "auto").toLowerCase();
-    if (simpleSrc !== "auto" && simpleSrc === simpleTgt) {
-      console.log(
-        "[translate-subtitles] src === tgt — skipping MyMemory; returning original segments and writing VTT"
-      );
-
-      const vttContentNoChange = buildVttFromSegments(toTranslateSegments);
-      const filenameNoChange = `translated-${tgtLang}-${Date.now()}-${Math.floor(
-        Math.random() * 10000
-      )}.vtt`;
-      const outPathNoChange = path.join(subtitlesDir, filenameNoChange);
-      await fsPromises.writeFile(outPathNoChange, vttContentNoChange, "utf8");
-      const vttUrlNoChange = `/subtitles/${filenameNoChange}?cb=${Date.now()}`;
+    // same source and target language (not 'auto'): nothing to translate
+    // (providers reject same-language pairs)
+    const isSourceLang = (lang) =>
+      srcLang !== "auto" && sameLanguage(srcLang, lang);
 
-      return res.json({
-        ok: true,
-        vttUrl: vttUrlNoChange,
-        segments: toTranslateSegments,
-      });
+    const providers = {};
+    let glossary = null;
+    try {
+      for (const tgtLang of tgtLangs) {
+        if (isSourceLang(tgtLang)) continue;
+        providers[tgtLang] = resolveTranslationProvider(
+          providerName,
+          srcLang,
+          tgtLang,
+          sourceTranscript
+        );
+      }
+      glossary = resolveGlossary(glossaryName, providerName);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
     }
 
-    console.log(
-      `[translate-subtitles] Translating ${toTranslateSegments.length} segments ${srcLang} → ${tgtLang}`
+    // the source cues, fitted and normalized once for every target
+    const source = normalizeTiming(
+      fitSegments(toTranslateSegments, cueOptions),
+      { segmentation: cueOptions, mediaDuration }
     );
 
-    const translated = [];
-    for (const seg of toTranslateSegments) {
-      const original = seg.text || "";
-
-      // Use MyMemory (primary)
-      let translatedText = await translateWithMyMemory(
-        original,
-        srcLang || "auto",
-        tgtLang
+    const writeTrack = (lang, cues) =>
+      writeSubtitleFiles(
+        subtitlesDir,
+        `translated-${lang}-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        cues,
+        formats,
+        {
+          language: lang,
+          targetScript,
+          segmentation: cueOptions,
+          mediaDuration,
+          ...styles,
+        }
       );
 
-      // If MyMemory returned the 'PLEASE SELECT TWO DISTINCT LANGUAGES' message or same as original in suspicious cases,
-      // attempt a mirror fallback directly (translateTextWithFallback already called by translateWithMyMemory), but keep this here for safety.
-      if (!translatedText || typeof translatedText !== "string") {
-        translatedText = original;
+    const translateTo = async (tgtLang) => {
+      if (!providers[tgtLang]) {
+        console.log(
+          `[translate-subtitles] src === tgt (${tgtLang}) — skipping translation; writing original segments`
+        );
+        return {
+          segments: source.segments,
+          timingReport: source.report,
+          quality: null,
+        };
       }
 
-      translated.push({ ...seg, text: translatedText });
+      const provider = providers[tgtLang];
+      console.log(
+        `[translate-subtitles] Translating ${toTranslateSegments.length} segments ${srcLang} → ${tgtLang} with ${provider.name}`
+      );
+      const {
+        segments: translated,
+        quality,
+        glossaryWarnings,
+      } = await translateSegments(
+        toTranslateSegments,
+        srcLang,
+        tgtLang,
+        provider,
+        { transcript: sourceTranscript, glossary }
+      );
+      if (glossaryWarnings.length)
+        console.warn(
+          `[translate-subtitles] ${tgtLang}: ${glossaryWarnings.length} glossary terms not enforced`
+        );
 
-      // polite rate-limit to reduce chance of being rate-limited
-      await new Promise((r) => setTimeout(r, 70));
-    }
+      // translations run longer/shorter than the source: re-fit cues to the
+      // preset, then fix any overlaps the re-fit or the source left behind
+      const { segments: fitted, report: timingReport } = normalizeTiming(
+        fitSegments(translated, cueOptions),
+        { segmentation: cueOptions, mediaDuration }
+      );
 
-    // build & write translated VTT
-    const vttContent = buildVttFromSegments(translated);
-    if (!fs.existsSync(subtitlesDir))
-      fs.mkdirSync(subtitlesDir, { recursive: true });
+      return {
+        segments: fitted,
+        timingReport,
+        provider: provider.name,
+        quality,
+        glossaryWarnings,
+      };
+    };
 
-    const filename = `translated-${tgtLang}-${Date.now()}-${Math.floor(
-      Math.random() * 10000
-    )}.vtt`;
-    const outPath = path.join(subtitlesDir, filename);
-    await fsPromises.writeFile(outPath, vttContent, "utf8");
+    const results = await Promise.all(tgtLangs.map(translateTo));
+    const quality = combineQuality(results.map((r) => r.quality));
 
-    const vttUrl = `/subtitles/${filename}?cb=${Date.now()}`;
+    // strict: untranslated cues fail the request instead of shipping a
+    // "translation" that is partly the source text
+    if (parseBooleanOption(req.body?.strict) && !quality.complete) {
+      const perLang = {};
+      tgtLangs.forEach((lang, i) => (perLang[lang] = results[i].quality));
+      return res.status(502).json({
+        ok: false,
+        error: `${quality.cues - quality.translated - quality.noText} of ${
+          quality.cues - quality.noText
+        } cues were not translated`,
+        quality,
+        languages: perLang,
+      });
+    }
 
-    console.log("✅ Translated VTT saved:", outPath, "->", vttUrl);
+    const translations = {};
+    const trackFiles = tgtLangs.map((lang, i) => {
+      // build & write translated VTT (+ requested formats)
+      const files = writeTrack(lang, results[i].segments);
+      console.log("✅ Translated subtitles saved:", files.vtt);
+      // keep the translation with its transcript (used by /render)
+      if (sourceTranscript && results[i].provider)
+        saveTranslation(
+          sourceTranscript.id,
+          lang,
+          results[i].segments,
+          files,
+          transcriptVersion(sourceTranscript)
+        );
+      translations[lang] = {
+        vttUrl: `/subtitles/${files.vtt}?cb=${Date.now()}`,
+        subtitleUrls: subtitleUrls(files),
+        ...results[i],
+        // the stored translation keeps its own script; the response matches the files
+        segments: transliterateSegments(results[i].segments, targetScript, {
+          language: lang,
+        }),
+      };
+      return files;
+    });
+
+    let zipUrl = null;
+    if (parseBooleanOption(req.body?.zip)) {
+      const sourceLabel = srcLang === "auto" ? "source" : srcLang;
+      const sameLang = tgtLangs.findIndex(isSourceLang);
+      const sourceFiles =
+        sameLang >= 0
+          ? trackFiles[sameLang]
+          : writeTrack(sourceLabel, source.segments);
+      const base = sourceTranscript ? sourceTranscript.id : "subtitles";
+      const entries = [];
+      const addTrack = (label, files) => {
+        for (const [ext, filename] of Object.entries(files))
+          entries.push({
+            path: path.join(subtitlesDir, filename),
+            name: `${base}.${label}.${ext}`,
+          });
+      };
+      addTrack(sourceLabel, sourceFiles);
+      tgtLangs.forEach((lang, i) => {
+        if (i !== sameLang) addTrack(lang, trackFiles[i]);
+      });
+      const zipName = `translations-${Date.now()}-${Math.floor(
+        Math.random() * 10000
+      )}.zip`;
+      await zipFiles(path.join(subtitlesDir, zipName), entries);
+      zipUrl = `/subtitles/${zipName}`;
+      console.log("📦 Subtitle tracks zipped:", zipName);
+    }
 
-    return res.json({ ok: true, vttUrl, segments: translated });
+    // one target keeps the single-language response shape
+    if (!multiTarget)
+      return res.json({
+        ok: true,
+        ...translations[tgtLangs[0]],
+        languageDetection,
+        zipUrl,
+      });
+
+    const vttUrls = {};
+    for (const lang of tgtLangs) vttUrls[lang] = translations[lang].vttUrl;
+    return res.json({
+      ok: true,
+      sourceLang: srcLang,
+      languageDetection,
+      vttUrls,
+      translations,
+      quality,
+      zipUrl,
+    });
   } catch (err) {
     console.error(
       "❌ translate-subtitles error:",
@@ -1008,11 +2961,29 @@ app.options("/proxy/video", (req, res) => {
 });
 
 app.listen(PORT, () => {
+  startJobQueue();
+  // after the queue has loaded, so files of resumed jobs are kept
+  startRetention();
   console.log(`🚀 AI Subtitle Backend running on http://localhost:${PORT}`);
   console.log(`📤 Upload file: POST /upload-audio`);
   console.log(`🌐 Upload from URL: POST /upload-from-url`);
+  console.log(`📥 Import subtitles: POST /import-subtitles`);
+  console.log(`🎬 Burn-in render: POST /render`);
+  console.log(`📦 Soft-mux tracks: POST /mux`);
+  console.log(`⚙️ Job status: GET /jobs/{jobId}`);
+  console.log(`🗂️ Transcripts: GET /transcripts, GET/DELETE /transcripts/{id}`);
+  console.log(`🗣️ Rename speakers: PATCH /transcripts/{id}/speakers`);
+  console.log(`✏️ Edit cues: POST /transcripts/{id}/edits, GET .../versions`);
+  console.log(`🧹 Retention: GET /retention/report, POST /retention/sweep`);
   console.log(`🌍 Translate: POST /translate-subtitles`);
+  console.log(`🔤 Translation providers: GET /translation-providers`);
+  console.log(`🌐 Languages: GET /languages`);
+  console.log(`🔎 Detect language: POST /detect-language`);
+  console.log(`📚 Glossaries: GET/PUT/DELETE /glossaries/{name}`);
+  console.log(`🧠 Translation memory: GET/POST/DELETE /translation-memory`);
   console.log(`📝 Subtitles: /subtitles/{filename}.vtt`);
+  console.log(`🧾 Export: GET /subtitles/{transcriptId}.{format}`);
+  console.log(`🎨 Style presets: GET/PUT/DELETE /styles/{name}`);
   console.log(`🎥 Video proxy: GET /proxy/video?url={videoUrl}`);
 });
 
@@ -0,0 +1,231 @@
+// jobQueue.js
+const path = require("path");
+const crypto = require("crypto");
+const { dataDir, readJson, writeJson } = require("./jsonStore");
+
+const jobsFile = path.join(dataDir, "jobs.json");
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+// runs a job gets before a restart stops re-queuing it (a job that brings the
+// process down would otherwise run again on every boot)
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 3);
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000; // keep finished jobs for a week
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const PROGRESS_PERSIST_MS = 2000; // progress ticks are written at most this often
+
+const handlers = {};
+const jobs = new Map();
+const pending = [];
+let active = 0;
+let started = false;
+let persistTimer = null;
+
+function persist() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    writeJson(jobsFile, Array.from(jobs.values()));
+  } catch (err) {
+    console.error(
+      "❌ Failed to persist jobs:",
+      err && err.message ? err.message : err
+    );
+  }
+}
+
+// Write soon rather than now; a status change writes sooner if it comes first
+function persistSoon() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(persist, PROGRESS_PERSIST_MS);
+  persistTimer.unref();
+}
+
+const isFinished = (job) =>
+  job.status === "completed" || job.status === "failed";
+
+// Drop finished jobs older than FINISHED_JOB_TTL_MS; returns how many went
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  let pruned = 0;
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+      jobs.delete(id);
+      pruned++;
+    }
+  }
+  return pruned;
+}
+
+/** Public view of a job (params may hold local paths, keep them server-side) */
+function toJobView(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/** Register the async function that runs jobs of `type`: handler(params, ctx) */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/** Queue a new job and return its public view */
+function enqueueJob(type, params = {}) {
+  if (!handlers[type]) throw new Error(`No job handler for type: ${type}`);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    stage: "queued",
+    progress: 0,
+    params,
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  jobs.set(job.id, job);
+  pending.push(job.id);
+  persist();
+  drain();
+  return toJobView(job);
+}
+
+function getJob(id) {
+  return toJobView(jobs.get(id));
+}
+
+/** Local files (params.filePath) that queued or running jobs still need */
+function jobFilesInUse() {
+  const files = new Set();
+  for (const job of jobs.values()) {
+    const unfinished = job.status === "queued" || job.status === "running";
+    if (unfinished && job.params && job.params.filePath)
+      files.add(path.resolve(job.params.filePath));
+  }
+  return files;
+}
+
+function updateJob(job, patch, { progressOnly = false } = {}) {
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  if (progressOnly) persistSoon();
+  else persist();
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    updateJob(job, {
+      status: "failed",
+      error: `No job handler for type: ${job.type}`,
+    });
+    return;
+  }
+  updateJob(job, {
+    status: "running",
+    stage: "starting",
+    attempts: (job.attempts || 0) + 1,
+  });
+  console.log(`⚙️ Job ${job.id} (${job.type}) started`);
+
+  const ctx = {
+    jobId: job.id,
+    // Handlers report { stage, progress } as they move through the pipeline
+    update: ({ stage, progress } = {}) => {
+      const patch = {};
+      if (stage) patch.stage = stage;
+      if (typeof progress === "number")
+        patch.progress = Math.max(0, Math.min(100, Math.round(progress)));
+      updateJob(job, patch, { progressOnly: true });
+    },
+  };
+
+  try {
+    const result = await handler(job.params, ctx);
+    updateJob(job, {
+      status: "completed",
+      stage: "done",
+      progress: 100,
+      result: result || null,
+    });
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (err) {
+    updateJob(job, {
+      status: "failed",
+      error: err && err.message ? err.message : String(err),
+    });
+    console.error(
+      `❌ Job ${job.id} failed:`,
+      err && err.message ? err.message : err
+    );
+  }
+}
+
+function drain() {
+  if (!started) return;
+  while (active < CONCURRENCY && pending.length > 0) {
+    const job = jobs.get(pending.shift());
+    if (!job || job.status !== "queued") continue;
+    active++;
+    runJob(job).finally(() => {
+      active--;
+      drain();
+    });
+  }
+}
+
+/**
+ * Load persisted jobs and start processing. Jobs that were queued or running
+ * when the process stopped are queued again and restart from the beginning,
+ * unless they already ran MAX_ATTEMPTS times: those fail.
+ */
+function startJobQueue() {
+  if (started) return;
+  const saved = readJson(jobsFile, []);
+
+  for (const job of Array.isArray(saved) ? saved : []) {
+    if (!job || !job.id) continue;
+    if (!isFinished(job) && (job.attempts || 0) >= MAX_ATTEMPTS) {
+      Object.assign(job, {
+        status: "failed",
+        error: `Gave up after ${job.attempts} attempts (the server stopped while the job ran)`,
+        updatedAt: new Date().toISOString(),
+      });
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed: ${job.error}`);
+    } else if (!isFinished(job)) {
+      job.status = "queued";
+      job.stage = "queued";
+      job.progress = 0;
+      pending.push(job.id);
+    }
+    jobs.set(job.id, job);
+  }
+  pruneFinishedJobs();
+
+  started = true;
+  persist();
+  // finished jobs also expire while the server runs
+  setInterval(() => {
+    if (pruneFinishedJobs()) persist();
+  }, PRUNE_INTERVAL_MS).unref();
+  if (pending.length)
+    console.log(`♻️ Resuming ${pending.length} unfinished job(s)`);
+  drain();
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  jobFilesInUse,
+  startJobQueue,
+};
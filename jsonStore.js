@@ -0,0 +1,36 @@
+// jsonStore.js
+const fs = require("fs");
+const path = require("path");
+
+// All server-side state (jobs, transcripts, ...) lives under DATA_DIR
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+/** Read and parse a JSON file, returning `fallback` if it is missing or corrupt */
+function readJson(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    console.warn(
+      `⚠️ Could not read ${filePath}:`,
+      err && err.message ? err.message : err
+    );
+    return fallback;
+  }
+}
+
+/** Write JSON through a temp file + rename so a crash never leaves half a file */
+function writeJson(filePath, value) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2), "utf8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  dataDir,
+  readJson,
+  writeJson,
+};
@@ -0,0 +1,138 @@
+// languageId.js
+// Offline language identification with franc (trigram profiles for ~80
+// languages; Japanese, Chinese, Korean, Thai, Greek, ... by script).
+// franc ranks candidates relative to the best one; those scores are turned
+// into confidences that add up to 1 and shrink for very short texts.
+const loadFranc = () => import("franc-min");
+
+// franc's ISO 639-3 codes → the ISO 639-1 codes used everywhere else here
+// (languages without a 639-1 code keep their 639-3 code)
+const ISO639_1 = {
+  amh: "am",
+  arb: "ar",
+  azj: "az",
+  bel: "be",
+  ben: "bn",
+  bos: "bs",
+  bul: "bg",
+  ces: "cs",
+  cmn: "zh",
+  deu: "de",
+  ell: "el",
+  eng: "en",
+  fra: "fr",
+  fuv: "ff",
+  guj: "gu",
+  hau: "ha",
+  hin: "hi",
+  hrv: "hr",
+  hun: "hu",
+  ibo: "ig",
+  ind: "id",
+  ita: "it",
+  jav: "jv",
+  jpn: "ja",
+  kan: "kn",
+  kaz: "kk",
+  kin: "rw",
+  kor: "ko",
+  lin: "ln",
+  mal: "ml",
+  mar: "mr",
+  mya: "my",
+  nld: "nl",
+  npi: "ne",
+  nya: "ny",
+  pan: "pa",
+  pbu: "ps",
+  pes: "fa",
+  plt: "mg",
+  pol: "pl",
+  por: "pt",
+  ron: "ro",
+  run: "rn",
+  rus: "ru",
+  sin: "si",
+  som: "so",
+  spa: "es",
+  srp: "sr",
+  sun: "su",
+  swe: "sv",
+  swh: "sw",
+  tam: "ta",
+  tel: "te",
+  tgl: "tl",
+  tha: "th",
+  tur: "tr",
+  ukr: "uk",
+  urd: "ur",
+  uzn: "uz",
+  vie: "vi",
+  yor: "yo",
+  zlm: "ms",
+  zul: "zu",
+};
+
+// below this many letters a guess is too weak to act on
+const FULL_CONFIDENCE_LETTERS = 50;
+const SAMPLE_CHARS = 2000;
+const MIN_CONFIDENCE = Number(process.env.LANGUAGE_ID_MIN_CONFIDENCE) || 0.5;
+
+const count = (text, re) => (text.match(re) || []).length;
+
+// a Han/kana/Hangul character says about as much as a short word
+function letterCount(text) {
+  return (
+    count(text, /[\p{L}\p{M}]/gu) +
+    2 * count(text, /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Hangul}]/gu)
+  );
+}
+
+/**
+ * Identify the language of `text`. Resolves to { language, confidence,
+ * reliable, candidates: [{ language, iso6393, confidence }] } with
+ * candidates best first; `language` is null when nothing was recognised.
+ */
+async function identifyLanguage(text, { limit = 5 } = {}) {
+  const { francAll } = await loadFranc();
+  const sample = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, SAMPLE_CHARS);
+  const ranked = francAll(sample, { minLength: 3 }).filter(
+    ([code]) => code !== "und"
+  );
+  if (!ranked.length)
+    return { language: null, confidence: 0, reliable: false, candidates: [] };
+
+  const letters = letterCount(sample);
+  const lengthFactor = Math.min(1, letters / FULL_CONFIDENCE_LETTERS);
+  // sharpen franc's relative scores so a clear winner gets most of the mass
+  const weights = ranked.map(([, score]) => Math.pow(score, 16));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const candidates = ranked.slice(0, limit).map(([code], i) => ({
+    language: ISO639_1[code] || code,
+    iso6393: code,
+    confidence: Number(((weights[i] / total) * lengthFactor).toFixed(3)),
+  }));
+  const best = candidates[0];
+  return {
+    language: best.language,
+    confidence: best.confidence,
+    reliable: best.confidence >= MIN_CONFIDENCE,
+    candidates,
+  };
+}
+
+/** identifyLanguage over the text of subtitle cues */
+function identifySegmentsLanguage(segments, options) {
+  const text = (segments || [])
+    .map((seg) => (seg && seg.text ? seg.text : ""))
+    .join(" ");
+  return identifyLanguage(text, options);
+}
+
+module.exports = {
+  identifyLanguage,
+  identifySegmentsLanguage,
+};
@@ -0,0 +1,260 @@
+// languages.js
+// Central language registry: BCP-47 code, English and native name, script,
+// text direction and ISO 639-2 code of every language the app accepts.
+// Transcription, translation, export and mux code resolve languages here;
+// anything that does not resolve is rejected instead of becoming "auto".
+
+// Scripts written right to left
+const RTL_SCRIPTS = ["Arab", "Hebr", "Thaa", "Syrc", "Nkoo"];
+
+// [code, English name, native name, script (ISO 15924), ISO 639-2/B]
+// (639-2/B is the tag Matroska and MP4 players expect)
+const TABLE = [
+  ["af", "Afrikaans", "Afrikaans", "Latn", "afr"],
+  ["am", "Amharic", "አማርኛ", "Ethi", "amh"],
+  ["ar", "Arabic", "العربية", "Arab", "ara"],
+  ["az", "Azerbaijani", "Azərbaycanca", "Latn", "aze"],
+  ["be", "Belarusian", "Беларуская", "Cyrl", "bel"],
+  ["bg", "Bulgarian", "Български", "Cyrl", "bul"],
+  ["bn", "Bengali", "বাংলা", "Beng", "ben"],
+  ["bs", "Bosnian", "Bosanski", "Latn", "bos"],
+  ["ca", "Catalan", "Català", "Latn", "cat"],
+  ["cs", "Czech", "Čeština", "Latn", "cze"],
+  ["cy", "Welsh", "Cymraeg", "Latn", "wel"],
+  ["da", "Danish", "Dansk", "Latn", "dan"],
+  ["de", "German", "Deutsch", "Latn", "ger"],
+  ["el", "Greek", "Ελληνικά", "Grek", "gre"],
+  ["en", "English", "English", "Latn", "eng"],
+  ["en-GB", "English (UK)", "English (UK)", "Latn", "eng"],
+  ["en-US", "English (US)", "English (US)", "Latn", "eng"],
+  ["es", "Spanish", "Español", "Latn", "spa"],
+  ["es-MX", "Spanish (Mexico)", "Español (México)", "Latn", "spa"],
+  ["et", "Estonian", "Eesti", "Latn", "est"],
+  ["eu", "Basque", "Euskara", "Latn", "baq"],
+  ["fa", "Persian", "فارسی", "Arab", "per"],
+  ["ff", "Fulah", "Fulfulde", "Latn", "ful"],
+  ["fi", "Finnish", "Suomi", "Latn", "fin"],
+  ["fil", "Filipino", "Filipino", "Latn", "fil"],
+  ["fr", "French", "Français", "Latn", "fre"],
+  ["fr-CA", "French (Canada)", "Français (Canada)", "Latn", "fre"],
+  ["ga", "Irish", "Gaeilge", "Latn", "gle"],
+  ["gl", "Galician", "Galego", "Latn", "glg"],
+  ["gu", "Gujarati", "ગુજરાતી", "Gujr", "guj"],
+  ["ha", "Hausa", "Hausa", "Latn", "hau"],
+  ["he", "Hebrew", "עברית", "Hebr", "heb"],
+  ["hi", "Hindi", "हिन्दी", "Deva", "hin"],
+  ["hr", "Croatian", "Hrvatski", "Latn", "hrv"],
+  ["hu", "Hungarian", "Magyar", "Latn", "hun"],
+  ["hy", "Armenian", "Հայերեն", "Armn", "arm"],
+  ["id", "Indonesian", "Bahasa Indonesia", "Latn", "ind"],
+  ["ig", "Igbo", "Igbo", "Latn", "ibo"],
+  ["is", "Icelandic", "Íslenska", "Latn", "ice"],
+  ["it", "Italian", "Italiano", "Latn", "ita"],
+  ["ja", "Japanese", "日本語", "Jpan", "jpn"],
+  ["jv", "Javanese", "Basa Jawa", "Latn", "jav"],
+  ["ka", "Georgian", "ქართული", "Geor", "geo"],
+  ["kk", "Kazakh", "Қазақ тілі", "Cyrl", "kaz"],
+  ["km", "Khmer", "ខ្មែរ", "Khmr", "khm"],
+  ["kn", "Kannada", "ಕನ್ನಡ", "Knda", "kan"],
+  ["ko", "Korean", "한국어", "Kore", "kor"],
+  ["ku", "Kurdish", "Kurdî", "Latn", "kur"],
+  ["lo", "Lao", "ລາວ", "Laoo", "lao"],
+  ["ln", "Lingala", "Lingála", "Latn", "lin"],
+  ["lt", "Lithuanian", "Lietuvių", "Latn", "lit"],
+  ["lv", "Latvian", "Latviešu", "Latn", "lav"],
+  ["mg", "Malagasy", "Malagasy", "Latn", "mlg"],
+  ["mk", "Macedonian", "Македонски", "Cyrl", "mac"],
+  ["ml", "Malayalam", "മലയാളം", "Mlym", "mal"],
+  ["mn", "Mongolian", "Монгол", "Cyrl", "mon"],
+  ["mr", "Marathi", "मराठी", "Deva", "mar"],
+  ["ms", "Malay", "Bahasa Melayu", "Latn", "may"],
+  ["mt", "Maltese", "Malti", "Latn", "mlt"],
+  ["my", "Burmese", "မြန်မာ", "Mymr", "bur"],
+  ["ne", "Nepali", "नेपाली", "Deva", "nep"],
+  ["nl", "Dutch", "Nederlands", "Latn", "dut"],
+  ["no", "Norwegian", "Norsk", "Latn", "nor"],
+  ["ny", "Chichewa", "Chicheŵa", "Latn", "nya"],
+  ["pa", "Punjabi", "ਪੰਜਾਬੀ", "Guru", "pan"],
+  ["pl", "Polish", "Polski", "Latn", "pol"],
+  ["ps", "Pashto", "پښتو", "Arab", "pus"],
+  ["pt", "Portuguese", "Português", "Latn", "por"],
+  ["pt-BR", "Portuguese (Brazil)", "Português (Brasil)", "Latn", "por"],
+  ["pt-PT", "Portuguese (Portugal)", "Português (Portugal)", "Latn", "por"],
+  ["rn", "Kirundi", "Ikirundi", "Latn", "run"],
+  ["ro", "Romanian", "Română", "Latn", "rum"],
+  ["ru", "Russian", "Русский", "Cyrl", "rus"],
+  ["rw", "Kinyarwanda", "Ikinyarwanda", "Latn", "kin"],
+  ["sd", "Sindhi", "سنڌي", "Arab", "snd"],
+  ["si", "Sinhala", "සිංහල", "Sinh", "sin"],
+  ["sk", "Slovak", "Slovenčina", "Latn", "slo"],
+  ["sl", "Slovenian", "Slovenščina", "Latn", "slv"],
+  ["so", "Somali", "Soomaali", "Latn", "som"],
+  ["sq", "Albanian", "Shqip", "Latn", "alb"],
+  ["sr", "Serbian", "Српски", "Cyrl", "srp"],
+  ["su", "Sundanese", "Basa Sunda", "Latn", "sun"],
+  ["sv", "Swedish", "Svenska", "Latn", "swe"],
+  ["sw", "Swahili", "Kiswahili", "Latn", "swa"],
+  ["ta", "Tamil", "தமிழ்", "Taml", "tam"],
+  ["te", "Telugu", "తెలుగు", "Telu", "tel"],
+  ["th", "Thai", "ไทย", "Thai", "tha"],
+  ["tl", "Tagalog", "Tagalog", "Latn", "tgl"],
+  ["tr", "Turkish", "Türkçe", "Latn", "tur"],
+  ["uk", "Ukrainian", "Українська", "Cyrl", "ukr"],
+  ["ur", "Urdu", "اردو", "Arab", "urd"],
+  ["uz", "Uzbek", "Oʻzbekcha", "Latn", "uzb"],
+  ["vi", "Vietnamese", "Tiếng Việt", "Latn", "vie"],
+  ["yi", "Yiddish", "ייִדיש", "Hebr", "yid"],
+  ["yo", "Yoruba", "Yorùbá", "Latn", "yor"],
+  ["zh", "Chinese", "中文", "Hans", "chi"],
+  ["zh-CN", "Chinese (Simplified)", "简体中文", "Hans", "chi"],
+  ["zh-TW", "Chinese (Traditional)", "繁體中文", "Hant", "chi"],
+  ["zu", "Zulu", "isiZulu", "Latn", "zul"],
+];
+
+// Other spellings clients and providers send
+const ALIASES = {
+  chinese: "zh-CN",
+  chinese_simplified: "zh-CN",
+  chinese_traditional: "zh-TW",
+  "zh-hans": "zh-CN",
+  "zh-hant": "zh-TW",
+  iw: "he",
+  in: "id",
+  nb: "no",
+  farsi: "fa",
+  en_uk: "en-GB",
+  ckb: "ku",
+  "ku-arab": "ku",
+};
+
+const LANGUAGES = TABLE.map(([code, name, nativeName, script, iso639_2]) => ({
+  code,
+  name,
+  nativeName,
+  script,
+  direction: RTL_SCRIPTS.includes(script) ? "rtl" : "ltr",
+  iso639_2,
+}));
+
+const byKey = new Map();
+for (const lang of LANGUAGES) {
+  byKey.set(lang.code.toLowerCase(), lang);
+  byKey.set(lang.name.toLowerCase(), lang);
+  byKey.set(lang.nativeName.toLowerCase(), lang);
+  if (!byKey.has(lang.iso639_2)) byKey.set(lang.iso639_2, lang);
+}
+for (const [alias, code] of Object.entries(ALIASES))
+  byKey.set(alias, byKey.get(code.toLowerCase()));
+
+// "pt_br" → "pt-BR", "zh-hant-tw" → "zh-Hant-TW"
+function canonicalTag(tag) {
+  return tag
+    .split(/[-_]/)
+    .map((part, i) => {
+      if (i === 0) return part.toLowerCase();
+      if (part.length === 4)
+        return part[0].toUpperCase() + part.slice(1).toLowerCase();
+      return part.length === 2 ? part.toUpperCase() : part.toLowerCase();
+    })
+    .join("-");
+}
+
+/**
+ * Registry entry for a code ("pt-BR", "pt_br", "por"), English or native
+ * name ("Hindi", "हिन्दी") or alias; null when unknown. Regional tags that
+ * are not listed resolve to their base language with the tag as `code`.
+ */
+function resolveLanguage(input) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+  const key = raw.toLowerCase();
+  const named = key.replace(/[()]/g, "").replace(/\s+/g, "_");
+  const hit =
+    byKey.get(key) ||
+    byKey.get(key.replace(/_/g, "-")) ||
+    byKey.get(named) ||
+    byKey.get(named.replace(/_/g, " "));
+  if (hit) return hit;
+  if (!/^[a-z]{2,3}([-_][a-z0-9]{2,8})+$/i.test(raw)) return null;
+  const base = byKey.get(key.split(/[-_]/)[0]);
+  return base ? { ...base, code: canonicalTag(raw) } : null;
+}
+
+/**
+ * Normalize a language from a request to its registry code; empty and
+ * "auto" give "auto" (unless `allowAuto` is false). Throws on unknown input.
+ */
+function normalizeLanguage(input, { allowAuto = true } = {}) {
+  const raw = String(input || "").trim();
+  if (!raw || /^auto$/i.test(raw)) {
+    if (allowAuto) return "auto";
+    throw new Error("A language is required");
+  }
+  const lang = resolveLanguage(raw);
+  if (!lang) throw new Error(`Unknown language: ${raw}`);
+  return lang.code;
+}
+
+/**
+ * "en", "pt-BR", "eng" → ISO 639-2/B code; other three-letter codes pass
+ * through and anything else is "und"
+ */
+function toIso639_2(input) {
+  const lang = resolveLanguage(input);
+  if (lang) return lang.iso639_2;
+  const code = String(input || "")
+    .trim()
+    .toLowerCase();
+  return /^[a-z]{3}$/.test(code) ? code : "und";
+}
+
+/**
+ * Whether two codes name the same language: same base language ("en-US" and
+ * "en") written in the same script (not "zh-CN" and "zh-TW")
+ */
+function sameLanguage(a, b) {
+  const base = (code) =>
+    String(code || "")
+      .trim()
+      .toLowerCase()
+      .split(/[-_]/)[0];
+  if (!base(a) || base(a) !== base(b)) return false;
+  const x = resolveLanguage(a);
+  const y = resolveLanguage(b);
+  return !x || !y || x.script === y.script;
+}
+
+/** Text direction of a language ("ltr" for unknown languages) */
+function languageDirection(input) {
+  const lang = resolveLanguage(input);
+  return lang ? lang.direction : "ltr";
+}
+
+/**
+ * The registry with per-provider support flags:
+ * providers: { transcription: { assemblyai: true, ... }, translation: {...} }
+ */
+function listLanguages({ transcription = [], translation = [] } = {}) {
+  const supports = (provider, code) => provider.supportsLanguage(code);
+  return LANGUAGES.map((lang) => ({
+    ...lang,
+    providers: {
+      transcription: Object.fromEntries(
+        transcription.map((p) => [p.name, supports(p, lang.code)])
+      ),
+      translation: Object.fromEntries(
+        translation.map((p) => [p.name, supports(p, lang.code)])
+      ),
+    },
+  }));
+}
+
+module.exports = {
+  sameLanguage,
+  LANGUAGES,
+  resolveLanguage,
+  normalizeLanguage,
+  toIso639_2,
+  languageDirection,
+  listLanguages,
+};
@@ -0,0 +1,67 @@
+// mux.js
+// Soft-muxes subtitle tracks into a container without re-encoding: mov_text
+// tracks in MP4, SRT or ASS tracks in MKV, each with a language tag and
+// default/forced flags so players list every language.
+const path = require("path");
+const { runFfmpeg } = require("./ffmpeg");
+const { toIso639_2 } = require("./languages");
+
+const CONTAINERS = {
+  mp4: { ext: "mp4", subtitleFormats: ["srt"] },
+  mkv: { ext: "mkv", subtitleFormats: ["srt", "ass"] },
+};
+
+function getContainer(name) {
+  const container = CONTAINERS[String(name || "mp4").toLowerCase()];
+  if (!container) throw new Error(`Unsupported container: ${name}`);
+  return container;
+}
+
+/**
+ * Mux subtitle files into `inputPath`'s video and audio streams (copied, not
+ * re-encoded). tracks: [{ path, format: "srt" | "ass", language, title,
+ * default, forced }]. MP4 turns every track into mov_text.
+ */
+function muxSubtitles({
+  inputPath,
+  tracks,
+  container = "mp4",
+  outputPath,
+  duration = null,
+  onProgress = null,
+}) {
+  const { ext } = getContainer(container);
+  const args = ["-i", path.resolve(inputPath)];
+  tracks.forEach((t) => args.push("-i", path.resolve(t.path)));
+  // keep the source's video/audio, drop its own subtitle streams
+  args.push("-map", "0:v?", "-map", "0:a?");
+  tracks.forEach((t, i) => args.push("-map", `${i + 1}:0`));
+  args.push("-c:v", "copy", "-c:a", "copy");
+
+  tracks.forEach((t, i) => {
+    const codec =
+      ext === "mp4" ? "mov_text" : t.format === "ass" ? "ass" : "srt";
+    const flags = [t.default && "default", t.forced && "forced"].filter(
+      Boolean
+    );
+    args.push(
+      `-c:s:${i}`,
+      codec,
+      `-metadata:s:s:${i}`,
+      `language=${toIso639_2(t.language)}`,
+      `-disposition:s:${i}`,
+      flags.length ? flags.join("+") : "0"
+    );
+    if (t.title) args.push(`-metadata:s:s:${i}`, `title=${t.title}`);
+  });
+  if (ext === "mp4") args.push("-movflags", "+faststart");
+  args.push(path.resolve(outputPath));
+
+  return runFfmpeg(args, { duration, onProgress });
+}
+
+module.exports = {
+  CONTAINERS,
+  getContainer,
+  muxSubtitles,
+};
@@ -0,0 +1,197 @@
+// providers/transcription/assemblyai.js
+const fs = require("fs");
+const fetch = (...args) =>
+  import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+const API_BASE = "https://api.assemblyai.com/v2";
+const POLL_INTERVAL_MS = 2500;
+
+// Languages AssemblyAI transcribes (best tier), by registry code
+const LANGUAGES = [
+  "en",
+  "es",
+  "fr",
+  "de",
+  "it",
+  "pt",
+  "nl",
+  "hi",
+  "ja",
+  "zh",
+  "fi",
+  "ko",
+  "pl",
+  "ru",
+  "tr",
+  "uk",
+  "vi",
+];
+// Regional variants AssemblyAI models separately
+const REGIONAL_CODES = { "en-US": "en_us", "en-GB": "en_uk", "en-AU": "en_au" };
+
+const baseLang = (code) => String(code).split("-")[0];
+
+function supportsLanguage(code) {
+  return LANGUAGES.includes(baseLang(code));
+}
+
+// registry code → AssemblyAI language_code
+function toAssemblyLanguage(code) {
+  return REGIONAL_CODES[code] || baseLang(code);
+}
+
+function getApiKey() {
+  const API_KEY = process.env.ASSEMBLYAI_API_KEY;
+  if (!API_KEY) throw new Error("ASSEMBLYAI_API_KEY missing in .env");
+  return API_KEY;
+}
+
+/** Upload a local file and return AssemblyAI's private upload_url */
+async function uploadFile(filePath) {
+  const API_KEY = getApiKey();
+  if (!fs.existsSync(filePath)) throw new Error("File not found: " + filePath);
+
+  const uploadRes = await fetch(`${API_BASE}/upload`, {
+    method: "POST",
+    headers: {
+      Authorization: API_KEY,
+      "Content-Type": "application/octet-stream",
+    },
+    body: fs.createReadStream(filePath),
+  });
+
+  if (!uploadRes.ok) {
+    const errText = await uploadRes.text();
+    throw new Error("AssemblyAI upload failed: " + errText);
+  }
+
+  const uploadJson = await uploadRes.json();
+  return uploadJson.upload_url;
+}
+
+/** Create a transcript job for an audio URL and return its id */
+async function submitTranscript(
+  audioUrl,
+  languageCode = null,
+  speakers = false
+) {
+  const API_KEY = getApiKey();
+  const transcriptBody = { audio_url: audioUrl };
+
+  if (speakers) {
+    transcriptBody.speaker_labels = true;
+    if (typeof speakers === "number")
+      transcriptBody.speakers_expected = speakers;
+    console.log("🗣️ Speaker diarization enabled");
+  }
+
+  if (languageCode && languageCode !== "auto") {
+    transcriptBody.language_code = toAssemblyLanguage(languageCode);
+    console.log(`🌐 Using language: ${languageCode}`);
+  } else {
+    transcriptBody.language_detection = true;
+    console.log(`🔍 Auto-detecting language...`);
+  }
+
+  const transcriptRes = await fetch(`${API_BASE}/transcript`, {
+    method: "POST",
+    headers: { Authorization: API_KEY, "Content-Type": "application/json" },
+    body: JSON.stringify(transcriptBody),
+  });
+
+  if (!transcriptRes.ok) {
+    const errText = await transcriptRes.text();
+    throw new Error("AssemblyAI transcript submit failed: " + errText);
+  }
+
+  const transcriptJson = await transcriptRes.json();
+  return transcriptJson.id;
+}
+
+/** Fetch a transcript object as-is */
+async function getTranscript(transcriptId) {
+  const API_KEY = getApiKey();
+  const statusRes = await fetch(`${API_BASE}/transcript/${transcriptId}`, {
+    method: "GET",
+    headers: { Authorization: API_KEY },
+  });
+  if (!statusRes.ok) {
+    const errText = await statusRes.text();
+    throw new Error("AssemblyAI transcript fetch failed: " + errText);
+  }
+  return statusRes.json();
+}
+
+/** Poll until the transcript completes; onStatus gets every intermediate status */
+async function pollTranscript(transcriptId, onStatus = null) {
+  while (true) {
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    const result = await getTranscript(transcriptId);
+    if (typeof onStatus === "function") onStatus(result.status);
+
+    if (result.status === "completed") {
+      console.log(
+        `✅ Transcription completed. Language: ${result.language_code}`
+      );
+      return result;
+    }
+    if (result.status === "error") {
+      throw new Error("AssemblyAI transcription failed: " + result.error);
+    }
+  }
+}
+
+/** AssemblyAI words (milliseconds) → provider-neutral words (seconds) */
+function normalizeWords(words) {
+  if (!Array.isArray(words)) return [];
+  return words.map((w) => ({
+    text: w.text || w.word || "",
+    start: (w.start || w.from || 0) / 1000,
+    end: (w.end || w.to || 0) / 1000,
+    confidence: typeof w.confidence === "number" ? w.confidence : null,
+    speaker: w.speaker || null,
+  }));
+}
+
+/** Convert a completed AssemblyAI transcript to the provider result shape */
+function toProviderResult(result) {
+  return {
+    text: result.text || "",
+    words: normalizeWords(result.words),
+    duration: result.audio_duration || null,
+    transcriptId: result.id,
+    detectedLanguage: result.language_code,
+    raw: result,
+  };
+}
+
+async function transcribe({
+  filePath,
+  remoteUrl,
+  languageCode = null,
+  speakers = false,
+  onStatus,
+}) {
+  getApiKey();
+  let audioUrl = remoteUrl;
+  if (!audioUrl) {
+    if (!filePath) throw new Error("filePath or remoteUrl required");
+    audioUrl = await uploadFile(filePath);
+  }
+  const transcriptId = await submitTranscript(audioUrl, languageCode, speakers);
+  const result = await pollTranscript(transcriptId, onStatus);
+  return toProviderResult(result);
+}
+
+module.exports = {
+  name: "assemblyai",
+  runsLocally: false,
+  supportsLanguage,
+  transcribe,
+  uploadFile,
+  submitTranscript,
+  getTranscript,
+  pollTranscript,
+  normalizeWords,
+  toProviderResult,
+};
@@ -0,0 +1,32 @@
+// providers/transcription/index.js
+// Every provider exposes transcribe({ filePath, remoteUrl, languageCode, onStatus })
+// and resolves to { text, words, duration, transcriptId, detectedLanguage, raw }
+// with word times in seconds. `runsLocally` providers must get local files.
+const assemblyai = require("./assemblyai");
+const local = require("./local");
+
+const PROVIDERS = {
+  [assemblyai.name]: assemblyai,
+  [local.name]: local,
+};
+
+function listTranscriptionProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/** Resolve a provider by name, falling back to TRANSCRIPTION_PROVIDER then AssemblyAI */
+function getTranscriptionProvider(name) {
+  const key = String(
+    name || process.env.TRANSCRIPTION_PROVIDER || assemblyai.name
+  )
+    .trim()
+    .toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) throw new Error(`Unknown transcription provider: ${key}`);
+  return provider;
+}
+
+module.exports = {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+};
@@ -0,0 +1,230 @@
+// providers/transcription/local.js
+// Offline transcription through a locally installed whisper binary, so audio
+// never leaves this machine. Two engines are supported:
+//   LOCAL_WHISPER_ENGINE=whisper.cpp     → whisper-cli (needs WHISPER_MODEL=/path/to/ggml-*.bin)
+//   LOCAL_WHISPER_ENGINE=faster-whisper  → whisper-ctranslate2 (WHISPER_MODEL=small, medium, ...)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { spawn } = require("child_process");
+const { pipeline } = require("stream");
+const { promisify } = require("util");
+const streamPipeline = promisify(pipeline);
+
+const ENGINES = {
+  "whisper.cpp": { defaultBin: "whisper-cli", run: runWhisperCpp },
+  "faster-whisper": {
+    defaultBin: "whisper-ctranslate2",
+    run: runFasterWhisper,
+  },
+};
+
+function getEngine() {
+  const name = process.env.LOCAL_WHISPER_ENGINE || "whisper.cpp";
+  const engine = ENGINES[name];
+  if (!engine) throw new Error(`Unknown LOCAL_WHISPER_ENGINE: ${name}`);
+  return { name, bin: process.env.WHISPER_BIN || engine.defaultBin, ...engine };
+}
+
+/** Run a binary to completion, rejecting with its stderr tail on failure */
+function runCommand(bin, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stderr = "";
+    child.stdout.on("data", () => {});
+    child.stderr.on("data", (d) => {
+      stderr = (stderr + d.toString()).slice(-4000);
+    });
+    child.on("error", (err) =>
+      reject(new Error(`Could not start ${bin}: ${err.message}`))
+    );
+    child.on("close", (code) => {
+      if (code === 0) return resolve();
+      reject(new Error(`${bin} exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+async function downloadToFile(url, filePath) {
+  const response = await axios({
+    method: "GET",
+    url,
+    responseType: "stream",
+    maxRedirects: 10,
+    timeout: 30000,
+  });
+  await streamPipeline(response.data, fs.createWriteStream(filePath));
+  return filePath;
+}
+
+// Languages whisper's multilingual models know (its own codes)
+const WHISPER_LANGUAGES = (
+  "en zh de es ru ko fr ja pt tr pl ca nl ar sv it id hi fi vi he uk el ms " +
+  "cs ro da hu ta no th ur hr bg lt la mi ml cy sk te fa lv bn sr az sl kn " +
+  "et mk br eu is hy ne mn bs kk sq sw gl mr pa si km sn yo so af oc ka be " +
+  "tg sd gu am yi lo uz fo ht ps tk nn mt sa lb my bo tl mg as tt haw ln " +
+  "ha ba jw su yue"
+).split(" ");
+// registry codes whisper spells differently
+const WHISPER_CODES = { jv: "jw", fil: "tl" };
+
+// "pt-BR" → "pt": whisper only takes base languages
+function whisperLanguage(code) {
+  const base = String(code).split("-")[0];
+  return WHISPER_CODES[base] || base;
+}
+
+function supportsLanguage(code) {
+  return WHISPER_LANGUAGES.includes(whisperLanguage(code));
+}
+
+// whisper.cpp only reads 16 kHz mono WAV, and -ml 1 gives one entry per word
+async function runWhisperCpp(engine, inputPath, workDir, languageCode) {
+  const model = process.env.WHISPER_MODEL;
+  if (!model) throw new Error("WHISPER_MODEL missing in .env");
+
+  const wavPath = path.join(workDir, "audio.wav");
+  await runCommand(process.env.FFMPEG_BIN || "ffmpeg", [
+    "-y",
+    "-i",
+    inputPath,
+    "-ar",
+    "16000",
+    "-ac",
+    "1",
+    "-c:a",
+    "pcm_s16le",
+    wavPath,
+  ]);
+
+  const outBase = path.join(workDir, "transcript");
+  await runCommand(engine.bin, [
+    "-m",
+    model,
+    "-f",
+    wavPath,
+    "-l",
+    languageCode && languageCode !== "auto"
+      ? whisperLanguage(languageCode)
+      : "auto",
+    "-ml",
+    "1",
+    "-sow",
+    "-oj",
+    "-of",
+    outBase,
+  ]);
+
+  const json = JSON.parse(fs.readFileSync(`${outBase}.json`, "utf8"));
+  const words = (json.transcription || [])
+    .map((t) => ({
+      text: String(t.text || "").trim(),
+      start: (t.offsets?.from || 0) / 1000,
+      end: (t.offsets?.to || 0) / 1000,
+      confidence: null,
+      speaker: null,
+    }))
+    .filter((w) => w.text);
+
+  return {
+    text: words.map((w) => w.text).join(" "),
+    words,
+    detectedLanguage: json.result?.language || languageCode || null,
+    raw: json,
+  };
+}
+
+async function runFasterWhisper(engine, inputPath, workDir, languageCode) {
+  const args = [
+    inputPath,
+    "--model",
+    process.env.WHISPER_MODEL || "small",
+    "--output_format",
+    "json",
+    "--output_dir",
+    workDir,
+    "--word_timestamps",
+    "True",
+  ];
+  if (languageCode && languageCode !== "auto")
+    args.push("--language", whisperLanguage(languageCode));
+  await runCommand(engine.bin, args);
+
+  const base = path.basename(inputPath, path.extname(inputPath));
+  const json = JSON.parse(
+    fs.readFileSync(path.join(workDir, `${base}.json`), "utf8")
+  );
+  const words = [];
+  for (const seg of json.segments || []) {
+    for (const w of seg.words || []) {
+      const text = String(w.word || "").trim();
+      if (!text) continue;
+      words.push({
+        text,
+        start: Number(w.start) || 0,
+        end: Number(w.end) || 0,
+        confidence: typeof w.probability === "number" ? w.probability : null,
+        speaker: null,
+      });
+    }
+  }
+
+  return {
+    text: String(json.text || "").trim(),
+    words,
+    detectedLanguage: json.language || languageCode || null,
+    raw: json,
+  };
+}
+
+async function transcribe({
+  filePath,
+  remoteUrl,
+  languageCode = null,
+  speakers = false,
+  onStatus,
+}) {
+  const engine = getEngine();
+  if (speakers)
+    console.warn("⚠️ Local transcription does not diarize; ignoring speakers");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "subtitler-"));
+
+  try {
+    let inputPath = filePath;
+    if (!inputPath) {
+      if (!remoteUrl) throw new Error("filePath or remoteUrl required");
+      inputPath = await downloadToFile(
+        remoteUrl,
+        path.join(
+          workDir,
+          "input" + (path.extname(new URL(remoteUrl).pathname) || ".mp4")
+        )
+      );
+    }
+    if (!fs.existsSync(inputPath))
+      throw new Error("File not found: " + inputPath);
+
+    console.log(`🖥️ Transcribing locally with ${engine.name} (${engine.bin})`);
+    if (typeof onStatus === "function") onStatus("processing");
+    const result = await engine.run(engine, inputPath, workDir, languageCode);
+    const last = result.words[result.words.length - 1];
+
+    return {
+      ...result,
+      duration: last ? last.end : null,
+      transcriptId: `local-${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  name: "local",
+  runsLocally: true,
+  supportsLanguage,
+  transcribe,
+};
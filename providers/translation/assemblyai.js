@@ -0,0 +1,172 @@
+// providers/translation/assemblyai.js
+// AssemblyAI Speech Understanding translation. It translates a transcript
+// that AssemblyAI produced (by transcript id) rather than loose text, and
+// returns per-utterance cues with AssemblyAI's own timing.
+const fetch = (...args) =>
+  import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const { baseLang, inList, pairChecker } = require("./languages");
+
+const UNDERSTANDING_URL = "https://llm-gateway.assemblyai.com/v1/understanding";
+const TRANSCRIPT_URL = "https://api.assemblyai.com/v2/transcript";
+const POLL_INTERVAL_MS = 2000;
+
+const TARGETS = [
+  "ar",
+  "bg",
+  "cs",
+  "da",
+  "de",
+  "el",
+  "en",
+  "es",
+  "fi",
+  "fr",
+  "he",
+  "hi",
+  "hu",
+  "id",
+  "it",
+  "ja",
+  "ko",
+  "ms",
+  "nl",
+  "no",
+  "pl",
+  "pt",
+  "ro",
+  "ru",
+  "sk",
+  "sv",
+  "th",
+  "tr",
+  "uk",
+  "vi",
+  "zh",
+];
+
+function getApiKey() {
+  const API_KEY = process.env.ASSEMBLYAI_API_KEY;
+  if (!API_KEY) throw new Error("ASSEMBLYAI_API_KEY missing in .env");
+  return API_KEY;
+}
+
+async function submitTranslation(transcriptId, target) {
+  const postRes = await fetch(UNDERSTANDING_URL, {
+    method: "POST",
+    headers: {
+      Authorization: getApiKey(),
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      transcript_id: transcriptId,
+      speech_understanding: {
+        request: { translation: { target_languages: [target] } },
+      },
+    }),
+  });
+  if (!postRes.ok) {
+    const errText = await postRes.text();
+    throw new Error("AssemblyAI understanding POST failed: " + errText);
+  }
+  const postJson = await postRes.json();
+  // the translation shows up on the transcript object, polled below
+  console.log(
+    "🌍 Translation request submitted (llm-gateway).",
+    postJson?.id ? `id=${postJson.id}` : ""
+  );
+}
+
+function translationDone(transcript, target) {
+  const translation = transcript?.speech_understanding?.response?.translation;
+  const status = translation?.status || translation?.state;
+  return (
+    status === "success" ||
+    Boolean(transcript?.translated_texts && transcript.translated_texts[target])
+  );
+}
+
+/**
+ * Translate AssemblyAI transcript `transcriptId` into `target`. Resolves to
+ * { segments: [{ start, end, text, source, fallback, speaker? }],
+ * translatedText, duration } where `source` is the utterance's own text and
+ * `fallback` is set on cues that got no translation of their own (their
+ * text is the whole translated transcript or the source).
+ */
+async function translateTranscript({
+  transcriptId,
+  target,
+  timeoutMs = 120000,
+}) {
+  if (!transcriptId || !target)
+    throw new Error("transcriptId and target language required");
+  const lang = baseLang(target);
+  const deadlineMs = Date.now() + timeoutMs;
+  console.log(
+    `🌍 AssemblyAI translation requested for ${transcriptId} -> ${lang}`
+  );
+  await submitTranslation(transcriptId, lang);
+
+  let transcript = null;
+  while (Date.now() < deadlineMs) {
+    const r = await fetch(`${TRANSCRIPT_URL}/${transcriptId}`, {
+      headers: { Authorization: getApiKey() },
+    });
+    if (!r.ok) {
+      const errText = await r.text();
+      throw new Error(
+        "Failed fetching transcript during translation: " + errText
+      );
+    }
+    transcript = await r.json();
+    if (translationDone(transcript, lang)) break;
+    await new Promise((res) => setTimeout(res, POLL_INTERVAL_MS));
+  }
+  if (!translationDone(transcript, lang))
+    throw new Error("Translation did not complete within timeout or failed.");
+  console.log("✅ Translation completed on transcript.");
+
+  // per-utterance translations live in u.translated_texts[lang]
+  const segments = (transcript.utterances || []).map((u) => {
+    const own = u.translated_texts && u.translated_texts[lang];
+    const seg = {
+      start: Number(u.start || 0) / 1000,
+      end: Number(u.end || 0) / 1000,
+      text: own || transcript.translated_texts?.[lang] || u.text || "",
+      source: u.text || "",
+      fallback: !own,
+    };
+    if (u.speaker) seg.speaker = u.speaker;
+    return seg;
+  });
+  const translatedText = transcript.translated_texts?.[lang] || null;
+  // no utterances: one cue with the full translated text
+  if (segments.length === 0)
+    segments.push({
+      start: 0,
+      end: Math.max(Number(transcript.audio_duration) || 0, 1),
+      text: translatedText || transcript.text || "",
+      source: transcript.text || "",
+      fallback: !translatedText,
+    });
+
+  return {
+    segments,
+    translatedText,
+    duration: transcript.audio_duration || null,
+  };
+}
+
+module.exports = {
+  name: "assemblyai",
+  // works on AssemblyAI transcript ids, not on arbitrary text
+  kind: "transcript",
+  languages: { sources: "*", targets: TARGETS, autoDetect: true },
+  supportsPair: pairChecker({
+    sources: "*",
+    targets: TARGETS,
+    autoDetect: true,
+  }),
+  supportsLanguage: (code) => inList(TARGETS, code),
+  isConfigured: () => Boolean(process.env.ASSEMBLYAI_API_KEY),
+  translateTranscript,
+};
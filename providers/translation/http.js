@@ -0,0 +1,54 @@
+// providers/translation/http.js
+// Generic HTTP endpoint, e.g. a small service in front of an LLM. It gets
+// POST TRANSLATE_HTTP_URL { text, source, target } (Bearer
+// TRANSLATE_HTTP_API_KEY when set) and answers { translation } (or
+// translatedText / text). TRANSLATE_HTTP_LANGUAGES limits the languages
+// ("en,fr,de"); any language is accepted otherwise.
+const axios = require("axios");
+const { inList, pairChecker } = require("./languages");
+
+function configuredLanguages() {
+  const list = String(process.env.TRANSLATE_HTTP_LANGUAGES || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? list : "*";
+}
+
+async function translate(text, source, target) {
+  const url = process.env.TRANSLATE_HTTP_URL;
+  if (!url) throw new Error("TRANSLATE_HTTP_URL is not set");
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.TRANSLATE_HTTP_API_KEY)
+    headers.Authorization = `Bearer ${process.env.TRANSLATE_HTTP_API_KEY}`;
+  const r = await axios.post(
+    url,
+    { text, source: source || "auto", target },
+    {
+      headers,
+      timeout: Number(process.env.TRANSLATE_HTTP_TIMEOUT_MS) || 60000,
+    }
+  );
+  const out = r.data?.translation ?? r.data?.translatedText ?? r.data?.text;
+  if (typeof out !== "string" || !out.trim())
+    throw new Error("HTTP translator returned no translation");
+  return out;
+}
+
+module.exports = {
+  name: "http",
+  kind: "text",
+  get languages() {
+    const list = configuredLanguages();
+    return { sources: list, targets: list, autoDetect: true };
+  },
+  supportsPair: (source, target) =>
+    pairChecker({
+      sources: configuredLanguages(),
+      targets: configuredLanguages(),
+      autoDetect: true,
+    })(source, target),
+  supportsLanguage: (code) => inList(configuredLanguages(), code),
+  isConfigured: () => Boolean(process.env.TRANSLATE_HTTP_URL),
+  translate,
+};
@@ -0,0 +1,41 @@
+// providers/translation/index.js
+// Text providers expose translate(text, source, target) → Promise<string>;
+// transcript providers expose translateTranscript({ transcriptId, target })
+// and work on their own transcripts. Every provider declares the language
+// pairs it handles through supportsPair(source, target) and `languages`.
+const mymemory = require("./mymemory");
+const libretranslate = require("./libretranslate");
+const assemblyai = require("./assemblyai");
+const http = require("./http");
+
+const PROVIDERS = {
+  [mymemory.name]: mymemory,
+  [libretranslate.name]: libretranslate,
+  [assemblyai.name]: assemblyai,
+  [http.name]: http,
+};
+
+/** Providers with their kind, language lists and whether they are configured */
+function listTranslationProviders() {
+  return Object.values(PROVIDERS).map((p) => ({
+    name: p.name,
+    kind: p.kind,
+    configured: p.isConfigured(),
+    languages: p.languages,
+  }));
+}
+
+/** Resolve a provider by name, falling back to TRANSLATION_PROVIDER then MyMemory */
+function getTranslationProvider(name) {
+  const key = String(name || process.env.TRANSLATION_PROVIDER || mymemory.name)
+    .trim()
+    .toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) throw new Error(`Unknown translation provider: ${key}`);
+  return provider;
+}
+
+module.exports = {
+  getTranslationProvider,
+  listTranslationProviders,
+};
@@ -0,0 +1,37 @@
+// providers/translation/languages.js
+// Helpers for the language pairs each translation provider declares
+const { sameLanguage } = require("../../languages");
+
+/** Base language of a code: "zh-CN" → "zh", "pt_BR" → "pt" */
+function baseLang(code) {
+  return String(code || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+}
+
+/** Whether `code` or its base language is in `list` ("*" = any) */
+function inList(list, code) {
+  return list === "*" || list.includes(code) || list.includes(baseLang(code));
+}
+
+/**
+ * Build a supportsPair(source, target) check from a provider's source and
+ * target language lists ("*" = any). `source` may be "auto" when
+ * `autoDetect` is set; the two languages must differ (see sameLanguage).
+ */
+function pairChecker({ sources = "*", targets = "*", autoDetect = false }) {
+  return (source, target) => {
+    if (!target || target === "auto") return false;
+    if (!source || source === "auto")
+      return autoDetect && inList(targets, target);
+    if (sameLanguage(source, target)) return false;
+    return inList(sources, source) && inList(targets, target);
+  };
+}
+
+module.exports = {
+  baseLang,
+  inList,
+  pairChecker,
+};
@@ -0,0 +1,119 @@
+// providers/translation/libretranslate.js
+// LibreTranslate (https://libretranslate.com). A self-hosted instance in
+// LIBRE_URL (e.g. http://localhost:5000/translate) is tried first, then the
+// public mirrors; LIBRE_API_KEY is sent when set.
+const axios = require("axios");
+const { baseLang, inList, pairChecker } = require("./languages");
+
+const MIRRORS = [
+  process.env.LIBRE_URL, // your chosen primary
+  "https://libretranslate.de/translate",
+  "https://translate.terraprint.co/translate",
+  "https://translate.argosopentech.com/translate",
+].filter(Boolean);
+
+// Argos models shipped with LibreTranslate
+const LANGUAGES = [
+  "ar",
+  "az",
+  "bg",
+  "bn",
+  "ca",
+  "cs",
+  "da",
+  "de",
+  "el",
+  "en",
+  "eo",
+  "es",
+  "et",
+  "fa",
+  "fi",
+  "fr",
+  "ga",
+  "he",
+  "hi",
+  "hu",
+  "id",
+  "it",
+  "ja",
+  "ko",
+  "lt",
+  "lv",
+  "ms",
+  "nb",
+  "nl",
+  "pl",
+  "pt",
+  "ro",
+  "ru",
+  "sk",
+  "sl",
+  "sq",
+  "sv",
+  "th",
+  "tl",
+  "tr",
+  "uk",
+  "ur",
+  "zh",
+  "zt",
+];
+
+// LibreTranslate uses "zh" for Simplified and "zt" for Traditional Chinese
+function toLibreCode(code) {
+  const c = String(code || "").toLowerCase();
+  if (c === "zh-tw" || c === "zh-hant") return "zt";
+  return baseLang(c);
+}
+
+/** Translate `text`, trying each configured endpoint in turn */
+async function translate(text, source, target) {
+  let lastErr = null;
+  for (const mirror of MIRRORS) {
+    try {
+      const r = await axios.post(
+        mirror,
+        {
+          q: text,
+          source: source && source !== "auto" ? toLibreCode(source) : "auto",
+          target: toLibreCode(target),
+          format: "text",
+          api_key: process.env.LIBRE_API_KEY || undefined,
+        },
+        { timeout: 8000 }
+      );
+
+      if (r.data?.translatedText) return r.data.translatedText;
+      // some mirrors return r.data.translated
+      if (r.data?.translated) return r.data.translated;
+      lastErr = new Error(r.data?.error || "empty response");
+    } catch (err) {
+      lastErr = err;
+      console.warn(
+        `⚠️ Mirror failed (${mirror}):`,
+        err && err.message ? err.message : err
+      );
+    }
+  }
+  throw new Error(
+    `All LibreTranslate endpoints failed: ${
+      lastErr && lastErr.message ? lastErr.message : lastErr
+    }`
+  );
+}
+
+module.exports = {
+  name: "libretranslate",
+  kind: "text",
+  languages: { sources: LANGUAGES, targets: LANGUAGES, autoDetect: true },
+  supportsPair: pairChecker({
+    sources: LANGUAGES.concat(["zh-cn", "zh-tw"]),
+    targets: LANGUAGES.concat(["zh-cn", "zh-tw"]),
+    autoDetect: true,
+  }),
+  supportsLanguage: (code) =>
+    inList(LANGUAGES.concat(["zh-cn", "zh-tw"]), code.toLowerCase()),
+  isConfigured: () => MIRRORS.length > 0,
+  translate,
+};
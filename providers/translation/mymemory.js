@@ -0,0 +1,125 @@
+// providers/translation/mymemory.js
+// MyMemory public API (https://mymemory.translated.net): free, rate limited,
+// queries up to 500 bytes. Falls back to LibreTranslate when it fails.
+const axios = require("axios");
+const libretranslate = require("./libretranslate");
+const { inList, pairChecker } = require("./languages");
+const { isErrorText } = require("../../translationQuality");
+
+const API_URL = "https://api.mymemory.translated.net/get";
+
+// MyMemory covers far more pairs than we use; these are the ones we test
+const LANGUAGES = [
+  "ar",
+  "bn",
+  "cs",
+  "da",
+  "de",
+  "el",
+  "en",
+  "es",
+  "fa",
+  "fi",
+  "fr",
+  "gu",
+  "he",
+  "hi",
+  "hu",
+  "id",
+  "it",
+  "ja",
+  "kn",
+  "ko",
+  "ml",
+  "mr",
+  "ms",
+  "nl",
+  "no",
+  "pa",
+  "pl",
+  "pt",
+  "ro",
+  "ru",
+  "sv",
+  "ta",
+  "te",
+  "th",
+  "tr",
+  "uk",
+  "ur",
+  "vi",
+  "zh",
+  "zh-CN",
+  "zh-TW",
+];
+
+async function requestMyMemory(text, source, target) {
+  const short = String(text).slice(0, 120).replace(/\n/g, " ");
+  console.log(
+    `[MyMemory] request (${source}→${target}): "${short}${
+      text.length > 120 ? "..." : ""
+    }"`
+  );
+  const r = await axios.get(API_URL, {
+    params: {
+      q: text,
+      // MyMemory spells source detection "Autodetect"
+      langpair: `${
+        source && source !== "auto" ? source : "Autodetect"
+      }|${target}`,
+      de: process.env.MYMEMORY_EMAIL || undefined,
+    },
+    timeout: 9000,
+  });
+  const status = Number(r.data?.responseStatus);
+  const translated = r.data?.responseData?.translatedText;
+  // quota and language errors come back as "translations" with a non-200 status
+  if (status && status !== 200)
+    throw new Error(
+      `MyMemory ${status}: ${translated || r.data?.responseDetails}`
+    );
+  if (!translated) throw new Error("MyMemory returned no translation");
+  if (isErrorText(translated)) throw new Error(`MyMemory: ${translated}`);
+  return translated;
+}
+
+/** Translate `text`; on MyMemory errors try LibreTranslate, else return `text` */
+async function translate(text, source, target) {
+  try {
+    return await requestMyMemory(text, source, target);
+  } catch (err) {
+    console.warn("MyMemory error:", err && err.message ? err.message : err);
+  }
+  if (libretranslate.supportsPair(source, target)) {
+    try {
+      const fallback = await libretranslate.translate(text, source, target);
+      if (fallback && fallback !== text) {
+        console.log("[MyMemory] fallback translated via LibreTranslate");
+        return fallback;
+      }
+    } catch (err) {
+      console.warn(
+        "LibreTranslate fallback failed:",
+        err && err.message ? err.message : err
+      );
+    }
+  }
+  // last resort: return original
+  return text;
+}
+
+module.exports = {
+  name: "mymemory",
+  kind: "text",
+  // batched cues (see batchTranslator.js) must stay under the query limit
+  maxBatchBytes: 500,
+  languages: { sources: LANGUAGES, targets: LANGUAGES, autoDetect: true },
+  supportsPair: pairChecker({
+    sources: LANGUAGES,
+    targets: LANGUAGES,
+    autoDetect: true,
+  }),
+  supportsLanguage: (code) => inList(LANGUAGES, code),
+  isConfigured: () => true,
+  translate,
+};
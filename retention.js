@@ -0,0 +1,340 @@
+// retention.js
+// Periodic clean-up of what the pipelines leave behind: temp uploads and
+// render/mux/transcription work dirs a crash never removed, subtitle files
+// no transcript refers to any more, old renders (on disk and on Cloudinary),
+// old cue versions and (when enabled) the Cloudinary copies of old source
+// media. Transcripts with `pinned: true`, and their renders, are never
+// touched. Limits come from the environment; 0 turns a rule off.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getTranscript,
+  updateTranscript,
+  listTranscripts,
+  listTranscriptVersions,
+  deleteTranscriptVersion,
+} = require("./transcriptStore");
+const { dataDir, readJson, writeJson } = require("./jsonStore");
+const { jobFilesInUse } = require("./jobQueue");
+const { deleteAsset } = require("./cloudinaryClient");
+
+const uploadDir = path.join(__dirname, "tmp", "uploads");
+const subtitlesDir = path.join(__dirname, "public", "subtitles");
+const rendersDir = path.join(__dirname, "public", "renders");
+// renders uploaded to Cloudinary: [{ publicId, resourceType, transcriptIds, createdAt }]
+const renderUploadsFile = path.join(dataDir, "render-uploads.json");
+// work dirs made by the render and mux pipelines and the local whisper
+// provider under os.tmpdir()
+const WORK_DIR = /^(render|mux|subtitler)-/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined &&
+    process.env[name] !== "" &&
+    Number.isFinite(value) &&
+    value >= 0
+    ? value
+    : fallback;
+}
+
+/** The limits in force, read from the environment on every sweep */
+function retentionPolicy() {
+  return {
+    intervalMinutes: envNumber("RETENTION_INTERVAL_MINUTES", 60),
+    tmpMaxAgeHours: envNumber("RETENTION_TMP_HOURS", 24),
+    subtitleMaxAgeDays: envNumber("RETENTION_SUBTITLE_DAYS", 30),
+    renderMaxAgeDays: envNumber("RETENTION_RENDER_DAYS", 30),
+    keepVersions: envNumber("RETENTION_KEEP_VERSIONS", 20),
+    versionMaxAgeDays: envNumber("RETENTION_VERSION_DAYS", 30),
+    // deleting source media breaks later renders, so it is opt-in
+    mediaMaxAgeDays: envNumber("RETENTION_MEDIA_DAYS", 0),
+  };
+}
+
+// Size of a file, or of the files directly inside a directory
+function sizeOf(fullPath, stat) {
+  if (!stat.isDirectory()) return stat.size;
+  let size = 0;
+  for (const name of fs.readdirSync(fullPath)) {
+    try {
+      size += fs.statSync(path.join(fullPath, name)).size;
+    } catch (_) {}
+  }
+  return size;
+}
+
+// Entries of `dir` last modified before `cutoff` (ms), as report items
+function entriesOlderThan(dir, cutoff, filter = () => true) {
+  if (!fs.existsSync(dir)) return [];
+  const found = [];
+  for (const name of fs.readdirSync(dir)) {
+    const fullPath = path.join(dir, name);
+    try {
+      const stat = fs.statSync(fullPath);
+      if (!filter(name, fullPath, stat) || stat.mtimeMs >= cutoff) continue;
+      found.push({
+        path: fullPath,
+        name,
+        bytes: sizeOf(fullPath, stat),
+        modifiedAt: new Date(stat.mtimeMs).toISOString(),
+      });
+    } catch (_) {}
+  }
+  return found;
+}
+
+function tmpCandidates(policy, now) {
+  if (!policy.tmpMaxAgeHours) return [];
+  const cutoff = now - policy.tmpMaxAgeHours * HOUR_MS;
+  const inUse = jobFilesInUse();
+  return [
+    ...entriesOlderThan(
+      uploadDir,
+      cutoff,
+      (name, fullPath, stat) => stat.isFile() && !inUse.has(fullPath)
+    ),
+    ...entriesOlderThan(
+      os.tmpdir(),
+      cutoff,
+      (name, fullPath, stat) => stat.isDirectory() && WORK_DIR.test(name)
+    ),
+  ];
+}
+
+function subtitleCandidates(policy, now, transcripts) {
+  if (!policy.subtitleMaxAgeDays) return [];
+  // files a transcript (or one of its translations) still points at stay
+  const referenced = new Set();
+  for (const t of transcripts) {
+    Object.values(t.files || {}).forEach((f) => referenced.add(f));
+    for (const tr of Object.values(t.translations || {}))
+      Object.values(tr.files || {}).forEach((f) => referenced.add(f));
+  }
+  return entriesOlderThan(
+    subtitlesDir,
+    now - policy.subtitleMaxAgeDays * DAY_MS,
+    (name, fullPath, stat) => stat.isFile() && !referenced.has(name)
+  );
+}
+
+// Render files are named after the (first) transcript they were made from
+function renderCandidates(policy, now, transcripts) {
+  if (!policy.renderMaxAgeDays) return { files: [], uploads: [] };
+  const cutoff = now - policy.renderMaxAgeDays * DAY_MS;
+  const pinned = transcripts.filter((t) => t.pinned).map((t) => t.id);
+  const files = entriesOlderThan(
+    rendersDir,
+    cutoff,
+    (name, fullPath, stat) =>
+      stat.isFile() && !pinned.some((id) => name.startsWith(`${id}-`))
+  );
+  const uploads = readJson(renderUploadsFile, []).filter(
+    (u) =>
+      Date.parse(u.createdAt) < cutoff &&
+      !(u.transcriptIds || []).some((id) => pinned.includes(id))
+  );
+  return { files, uploads };
+}
+
+/** Remember a render uploaded to Cloudinary so the render rule can expire it */
+function recordRenderUpload({
+  publicId,
+  resourceType = "video",
+  transcriptIds,
+}) {
+  const uploads = readJson(renderUploadsFile, []);
+  uploads.push({
+    publicId,
+    resourceType,
+    transcriptIds: transcriptIds || [],
+    createdAt: new Date().toISOString(),
+  });
+  writeJson(renderUploadsFile, uploads);
+}
+
+function forgetRenderUpload(publicId) {
+  writeJson(
+    renderUploadsFile,
+    readJson(renderUploadsFile, []).filter((u) => u.publicId !== publicId)
+  );
+}
+
+// Versions beyond the newest `keepVersions` that are also older than
+// versionMaxAgeDays (0: any age); the latest and the pinned version stay
+function versionCandidates(policy, now, transcripts) {
+  if (!policy.keepVersions) return [];
+  const cutoff = now - policy.versionMaxAgeDays * DAY_MS;
+  const found = [];
+  for (const t of transcripts) {
+    if (t.pinned || t.version <= policy.keepVersions) continue;
+    const versions = listTranscriptVersions(t);
+    for (const v of versions.slice(0, -policy.keepVersions)) {
+      if (v.version === t.version || v.version === t.pinnedVersion) continue;
+      if (Date.parse(v.createdAt) >= cutoff) continue;
+      found.push({
+        transcriptId: t.id,
+        version: v.version,
+        createdAt: v.createdAt,
+      });
+    }
+  }
+  return found;
+}
+
+function mediaCandidates(policy, now, transcripts) {
+  if (!policy.mediaMaxAgeDays) return [];
+  const cutoff = now - policy.mediaMaxAgeDays * DAY_MS;
+  return transcripts
+    .filter(
+      (t) =>
+        !t.pinned &&
+        t.sourceMedia &&
+        t.sourceMedia.publicId &&
+        !t.sourceMedia.expiredAt &&
+        Date.parse(t.createdAt) < cutoff
+    )
+    .map((t) => ({
+      transcriptId: t.id,
+      publicId: t.sourceMedia.publicId,
+      url: t.sourceMedia.url || null,
+      createdAt: t.createdAt,
+    }));
+}
+
+let sweeping = false;
+
+/**
+ * Find (and unless `dryRun`, remove) everything the policy expires.
+ * Resolves to a report: { dryRun, policy, tmpFiles, subtitleFiles,
+ * renderFiles, renderUploads, versions, media, totals } listing what
+ * expired, plus { removed, errors } after a real sweep.
+ */
+async function sweepRetention({ dryRun = false } = {}) {
+  if (sweeping && !dryRun) throw new Error("A retention sweep is running");
+  const policy = retentionPolicy();
+  const now = Date.now();
+  const { transcripts } = listTranscripts({}, { limit: Infinity });
+  const renders = renderCandidates(policy, now, transcripts);
+  const report = {
+    dryRun,
+    policy,
+    startedAt: new Date(now).toISOString(),
+    tmpFiles: tmpCandidates(policy, now),
+    subtitleFiles: subtitleCandidates(policy, now, transcripts),
+    renderFiles: renders.files,
+    renderUploads: renders.uploads,
+    versions: versionCandidates(policy, now, transcripts),
+    media: mediaCandidates(policy, now, transcripts),
+  };
+  const files = [
+    ...report.tmpFiles,
+    ...report.subtitleFiles,
+    ...report.renderFiles,
+  ];
+  report.totals = {
+    files: files.length,
+    bytes: files.reduce((sum, f) => sum + f.bytes, 0),
+    renderUploads: report.renderUploads.length,
+    versions: report.versions.length,
+    media: report.media.length,
+  };
+  // full paths stay server-side; the report shows file names
+  const paths = files.map((f) => f.path);
+  for (const f of files) delete f.path;
+  if (dryRun) return report;
+
+  sweeping = true;
+  const removed = { files: 0, renderUploads: 0, versions: 0, media: 0 };
+  report.errors = [];
+  const fail = (item, err) =>
+    report.errors.push({
+      ...item,
+      error: err && err.message ? err.message : String(err),
+    });
+  try {
+    files.forEach((f, i) => {
+      try {
+        fs.rmSync(paths[i], { recursive: true, force: true });
+        removed.files++;
+      } catch (err) {
+        fail({ name: f.name }, err);
+      }
+    });
+    for (const u of report.renderUploads) {
+      try {
+        await deleteAsset(u.publicId, { resource_type: u.resourceType });
+        forgetRenderUpload(u.publicId);
+        removed.renderUploads++;
+      } catch (err) {
+        fail(u, err);
+      }
+    }
+    for (const v of report.versions) {
+      try {
+        // re-read: the transcript may have moved on since the listing
+        const transcript = getTranscript(v.transcriptId);
+        if (transcript && !transcript.pinned) {
+          deleteTranscriptVersion(transcript, v.version);
+          removed.versions++;
+        }
+      } catch (err) {
+        fail(v, err);
+      }
+    }
+    for (const m of report.media) {
+      try {
+        const transcript = getTranscript(m.transcriptId);
+        if (transcript && transcript.pinned) continue;
+        await deleteAsset(m.publicId, { resource_type: "video" });
+        if (transcript)
+          updateTranscript(m.transcriptId, {
+            sourceMedia: {
+              ...transcript.sourceMedia,
+              url: null,
+              expiredAt: new Date().toISOString(),
+            },
+          });
+        removed.media++;
+      } catch (err) {
+        fail(m, err);
+      }
+    }
+  } finally {
+    sweeping = false;
+  }
+  report.removed = removed;
+  if (Object.values(removed).some(Boolean))
+    console.log(
+      `🧹 Retention: removed ${removed.files} file(s), ${removed.renderUploads} render upload(s), ${removed.versions} version(s), ${removed.media} media upload(s)`
+    );
+  return report;
+}
+
+let timer = null;
+
+/** Sweep now and then every RETENTION_INTERVAL_MINUTES (0: never) */
+function startRetention() {
+  const { intervalMinutes } = retentionPolicy();
+  if (timer || !intervalMinutes) return;
+  const run = () =>
+    sweepRetention().catch((err) =>
+      console.error(
+        "❌ Retention sweep failed:",
+        err && err.message ? err.message : err
+      )
+    );
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+module.exports = {
+  retentionPolicy,
+  recordRenderUpload,
+  sweepRetention,
+  startRetention,
+};
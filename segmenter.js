@@ -0,0 +1,480 @@
+// segmenter.js
+// Turns timed words into subtitle cues that respect line length, line count,
+// duration and reading-speed limits. Cues break at speaker changes, pauses and
+// sentence ends first, and at clause punctuation when a cue has to be cut.
+// Line length is measured in display width and text in scripts without
+// spaces (CJK, Thai) breaks between words (see textScripts.js).
+const {
+  displayWidth,
+  gapBetween,
+  joinTokens,
+  breakUnits,
+  unitsText,
+} = require("./textScripts");
+
+// Durations/gaps in seconds, reading speed (maxCps) in characters per second
+const PRESETS = {
+  standard: {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    minDuration: 1,
+    maxDuration: 6,
+    maxCps: 20,
+    minGap: 0.08,
+    pauseThreshold: 0.6,
+  },
+  // Netflix Timed Text Style Guide: 42 chars x 2 lines, 5/6 s to 7 s, 20 cps, 2-frame gap
+  netflix: {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    minDuration: 0.833,
+    maxDuration: 7,
+    maxCps: 20,
+    minGap: 0.083,
+    pauseThreshold: 0.5,
+  },
+  // BBC Subtitle Guidelines: ~37 chars per line, 160-180 wpm (~15 cps)
+  bbc: {
+    maxCharsPerLine: 37,
+    maxLines: 2,
+    minDuration: 1.2,
+    maxDuration: 7,
+    maxCps: 15,
+    minGap: 0.08,
+    pauseThreshold: 0.5,
+  },
+  // Vertical short-form video: one short line, fast cuts
+  social: {
+    maxCharsPerLine: 24,
+    maxLines: 1,
+    minDuration: 0.5,
+    maxDuration: 2.5,
+    maxCps: 22,
+    minGap: 0,
+    pauseThreshold: 0.35,
+  },
+};
+
+const PRESET_ALIASES = {
+  default: "standard",
+  "social-short-form": "social",
+  "short-form": "social",
+  shortform: "social",
+};
+
+const OPTION_KEYS = Object.keys(PRESETS.standard);
+
+const SENTENCE_END = /[.!?…。！？]["'”’)\]]*$/;
+const CLAUSE_END = /[,;:،、，；：—–-]["'”’)\]]*$/;
+
+function listSegmentationPresets() {
+  return Object.keys(PRESETS).map((name) => ({ name, ...PRESETS[name] }));
+}
+
+function getPreset(name) {
+  const key = String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  const preset = PRESETS[PRESET_ALIASES[key] || key];
+  if (!preset) throw new Error(`Unknown segmentation preset: ${name}`);
+  return preset;
+}
+
+/**
+ * Resolve segmentation options from a preset name, or an object holding an
+ * optional `preset` plus overrides. Throws on unknown presets or bad values.
+ */
+function resolveSegmentation(input) {
+  const defaultPreset = process.env.SEGMENTATION_PRESET || "standard";
+  if (input === undefined || input === null || input === "")
+    return { ...getPreset(defaultPreset) };
+  if (typeof input === "string") return { ...getPreset(input) };
+  if (typeof input !== "object" || Array.isArray(input))
+    throw new Error("segmentation must be a preset name or an object");
+
+  const options = { ...getPreset(input.preset || defaultPreset) };
+  for (const key of OPTION_KEYS) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0)
+      throw new Error(`Invalid segmentation option ${key}: ${input[key]}`);
+    options[key] = value;
+  }
+  options.maxCharsPerLine = Math.max(1, Math.round(options.maxCharsPerLine));
+  options.maxLines = Math.max(1, Math.round(options.maxLines));
+  if (options.maxDuration < options.minDuration)
+    throw new Error("segmentation maxDuration must be >= minDuration");
+  return options;
+}
+
+function joinWords(words) {
+  return joinTokens(words.map((w) => w.text));
+}
+
+// Break units (see breakUnits) of timed words, in order
+function wordUnits(words) {
+  return words.map((w, i) => {
+    const text = String(w.text || "").trim();
+    const gap = i ? gapBetween(String(words[i - 1].text).trim(), text) : "";
+    return gap + text;
+  });
+}
+
+// Width of the run units[i..j) as unitsText would show it, from prefix sums
+// of the unit widths (the space leading units[i] does not count)
+function runWidths(units) {
+  const prefix = [0];
+  const lead = [];
+  for (const unit of units) {
+    const width = displayWidth(unit);
+    lead.push(width - displayWidth(unit.trimStart()));
+    prefix.push(prefix[prefix.length - 1] + width);
+  }
+  return (i, j) => prefix[j] - prefix[i] - lead[i];
+}
+
+// Split break units into exactly `count` runs of roughly equal width,
+// preferring breaks after punctuation and heavily penalising runs wider than
+// maxLen. Returns the runs as arrays of units.
+function balancedRuns(units, maxLen, count) {
+  const n = units.length;
+  const runLen = runWidths(units);
+  const target = runLen(0, n) / count;
+  // a run twice the wider of the two never wins; stop looking past it
+  const widest = 2 * Math.max(maxLen, target);
+  // best(i, k) memo: cost, and where the first of the k runs ends
+  const costs = new Float64Array((n + 1) * (count + 1)).fill(NaN);
+  const next = new Int32Array((n + 1) * (count + 1));
+
+  // best(i, k): cheapest layout of words[i..] in exactly k runs
+  function best(i, k) {
+    const key = i * (count + 1) + k;
+    if (!Number.isNaN(costs[key])) return costs[key];
+    let result = Infinity;
+    if (k === 1) {
+      const len = runLen(i, n);
+      const over = Math.max(0, len - maxLen);
+      result = (len - target) ** 2 + over * 1000;
+      next[key] = n;
+    } else {
+      for (let j = i + 1; j <= n - (k - 1); j++) {
+        const len = runLen(i, j);
+        if (len > widest && j > i + 1) break;
+        const over = Math.max(0, len - maxLen);
+        let cost = (len - target) ** 2 + over * 1000;
+        if (SENTENCE_END.test(units[j - 1])) cost -= target * 2;
+        else if (CLAUSE_END.test(units[j - 1])) cost -= target;
+        const total = cost + best(j, k - 1);
+        if (total < result) {
+          result = total;
+          next[key] = j;
+        }
+      }
+    }
+    costs[key] = result;
+    return result;
+  }
+
+  best(0, count);
+  const runs = [];
+  for (let from = 0, k = count; k > 0; k--) {
+    const to = next[from * (count + 1) + k];
+    runs.push(units.slice(from, to));
+    from = to;
+  }
+  return runs;
+}
+
+// Runs of greedily filled pieces balanced together in fitRuns
+const FIT_BLOCK = 24;
+
+// Split break units into the fewest runs no wider than maxLen (a single unit
+// wider than that gets a run of its own). A greedy fill finds how many runs
+// are needed; the runs are then evened out FIT_BLOCK at a time, which keeps
+// long cues (a whole transcript without timing) linear.
+function fitRuns(units, maxLen) {
+  const runLen = runWidths(units);
+  const cuts = [0];
+  for (let j = 2; j <= units.length; j++) {
+    const from = cuts[cuts.length - 1];
+    if (j - from > 1 && runLen(from, j) > maxLen) cuts.push(j - 1);
+  }
+  cuts.push(units.length);
+
+  const runs = [];
+  for (let b = 0; b < cuts.length - 1; b += FIT_BLOCK) {
+    const last = Math.min(b + FIT_BLOCK, cuts.length - 1);
+    const block = units.slice(cuts[b], cuts[last]);
+    const balanced = balancedRuns(block, maxLen, last - b);
+    const fits = balanced.every(
+      (run) => run.length < 2 || displayWidth(unitsText(run)) <= maxLen
+    );
+    if (fits) runs.push(...balanced);
+    else
+      for (let c = b; c < last; c++)
+        runs.push(units.slice(cuts[c], cuts[c + 1]));
+  }
+  return runs;
+}
+
+// Lines for break units (see wrapText)
+function wrapUnits(units, options) {
+  const { maxCharsPerLine, maxLines } = resolveSegmentation(options);
+  const flat = unitsText(units);
+  const width = displayWidth(flat);
+  if (width <= maxCharsPerLine || maxLines <= 1 || units.length < 2)
+    return flat ? [flat] : [];
+
+  const lineCount = Math.min(
+    maxLines,
+    units.length,
+    Math.ceil(width / maxCharsPerLine)
+  );
+  return balancedRuns(units, maxCharsPerLine, lineCount).map(unitsText);
+}
+
+/**
+ * Break text into at most `maxLines` lines of roughly equal width, preferring
+ * breaks after punctuation. Lines only exceed maxCharsPerLine when the text
+ * cannot fit (a cue that is too long, or a single very long word).
+ */
+function wrapText(text, options) {
+  return wrapUnits(breakUnits(text), options);
+}
+
+// Index to cut a too-long cue at: after the last clause/sentence punctuation
+// in its second half, or 0 when there is none
+function clauseBreakIndex(cue) {
+  for (let i = cue.length - 1; i >= Math.ceil(cue.length / 2); i--) {
+    const t = cue[i - 1].text;
+    if (SENTENCE_END.test(t) || CLAUSE_END.test(t)) return i;
+  }
+  return 0;
+}
+
+// Give short or fast cues more screen time, but only into the following gap
+function applyTimingRules(segments, options) {
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    const next = segments[i + 1];
+    const limit = next ? next.start - options.minGap : Infinity;
+    const chars = displayWidth(seg.text.replace(/\n/g, " "));
+    const desired =
+      seg.start +
+      Math.min(
+        options.maxDuration,
+        Math.max(options.minDuration, chars / (options.maxCps || Infinity))
+      );
+    if (seg.end < desired)
+      seg.end = Math.max(seg.end, Math.min(desired, limit));
+  }
+  return segments;
+}
+
+/**
+ * Segment provider words ({ text, start, end, speaker? } in seconds) into
+ * cues ({ start, end, text, speaker?, words }) where text lines are joined by
+ * "\n" and `words` keeps each word's own timing for karaoke-style output.
+ */
+function segmentWords(words, segmentation) {
+  const options = resolveSegmentation(segmentation);
+  const maxChars = options.maxCharsPerLine * options.maxLines;
+  const cues = [];
+  let cue = [];
+  const flush = () => {
+    if (cue.length) cues.push(cue);
+    cue = [];
+  };
+
+  for (const w of Array.isArray(words) ? words : []) {
+    if (!w || !String(w.text || "").trim()) continue;
+    if (cue.length) {
+      const prev = cue[cue.length - 1];
+      const speakerChange = (w.speaker || null) !== (cue[0].speaker || null);
+      const pause = w.start - prev.end >= options.pauseThreshold;
+      const sentenceDone =
+        SENTENCE_END.test(prev.text) &&
+        prev.end - cue[0].start >= options.minDuration;
+
+      if (speakerChange || pause || sentenceDone) {
+        flush();
+      } else if (
+        displayWidth(joinWords([...cue, w])) > maxChars ||
+        w.end - cue[0].start > options.maxDuration
+      ) {
+        const cut = clauseBreakIndex(cue);
+        const carry = cut ? cue.slice(cut) : [];
+        if (cut) cue = cue.slice(0, cut);
+        flush();
+        cue = carry;
+      }
+    }
+    cue.push(w);
+  }
+  flush();
+
+  const segments = cues.map((c) => {
+    const seg = {
+      start: c[0].start,
+      end: c[c.length - 1].end,
+      text: wrapUnits(wordUnits(c), options).join("\n"),
+    };
+    if (c[0].speaker) seg.speaker = c[0].speaker;
+    seg.words = c.map((w) => ({
+      text: String(w.text).trim(),
+      start: w.start,
+      end: w.end,
+    }));
+    return seg;
+  });
+  return applyTimingRules(segments, options);
+}
+
+/**
+ * Words of a cue grouped by display line ([[{ text, start, end }], ...]), or
+ * null when the cue has no word timing or its text no longer matches its
+ * words (e.g. after a translation). Exporters use this for per-word timing.
+ */
+function cueLineWords(segment) {
+  const words = segment && segment.words;
+  if (!Array.isArray(words) || words.length === 0) return null;
+  const lines = String(segment.text || "").split("\n");
+  const tokens = lines.map((line) => line.split(/\s+/).filter(Boolean));
+  const count = tokens.reduce((n, line) => n + line.length, 0);
+  let i = 0;
+  if (count === words.length)
+    return tokens.map((line) =>
+      line.map((token) => ({ ...words[i++], text: token }))
+    );
+  // text in scripts without spaces: find the words one after another in each
+  // line; words with no space before them get `space: false`
+  const matched = [];
+  for (const line of lines) {
+    const found = [];
+    let pos = 0;
+    while (pos < line.length) {
+      const start = pos;
+      while (/\s/.test(line[pos] || "")) pos++;
+      const spaced = pos > start;
+      const tokenStart = pos;
+      while (/[\u200e\u200f]/.test(line[pos] || "")) pos++;
+      if (pos >= line.length) break;
+      const text = i < words.length ? String(words[i].text || "").trim() : "";
+      if (!text || !line.startsWith(text, pos)) return null;
+      pos += text.length;
+      const token = { ...words[i++], text: line.slice(tokenStart, pos) };
+      if (found.length && !spaced) token.space = false;
+      found.push(token);
+    }
+    matched.push(found);
+  }
+  return i === words.length ? matched : null;
+}
+
+/** Copy of segments without per-word timing (for compact API responses) */
+function withoutWords(segments) {
+  return (Array.isArray(segments) ? segments : []).map(
+    ({ words, ...seg }) => seg
+  );
+}
+
+/**
+ * Fit already-timed cues (translations, imports) to the same limits: re-wrap
+ * their lines and split cues that hold too much text. Pieces take their times
+ * from word timing when the cue has it, else share the cue's time in
+ * proportion to their length.
+ */
+function fitSegments(segments, segmentation) {
+  const options = resolveSegmentation(segmentation);
+  const maxChars = options.maxCharsPerLine * options.maxLines;
+  const out = [];
+
+  for (const original of Array.isArray(segments) ? segments : []) {
+    const timed = cueLineWords(original);
+    const { words: _, ...seg } = original;
+    const flat = timed ? timed.flat() : null;
+    const units = timed
+      ? wordUnits(flat)
+      : breakUnits(joinTokens(String(seg.text || "").split("\n")));
+    const width = displayWidth(unitsText(units));
+    if (width <= maxChars || units.length < 2) {
+      const fitted = { ...seg, text: wrapUnits(units, options).join("\n") };
+      if (timed) fitted.words = original.words;
+      out.push(fitted);
+      continue;
+    }
+
+    // fewest pieces that each fit in one cue
+    const chunks = fitRuns(units, maxChars);
+
+    if (timed) {
+      let from = 0;
+      chunks.forEach((chunk, i) => {
+        const chunkWords = flat
+          .slice(from, from + chunk.length)
+          .map(({ space, ...w }) => w);
+        from += chunkWords.length;
+        out.push({
+          ...seg,
+          start: i === 0 ? seg.start : chunkWords[0].start,
+          end:
+            i === chunks.length - 1
+              ? seg.end
+              : chunkWords[chunkWords.length - 1].end,
+          text: wrapUnits(chunk, options).join("\n"),
+          words: chunkWords,
+        });
+      });
+      continue;
+    }
+
+    const start = Number(seg.start) || 0;
+    const span = Math.max(0, (Number(seg.end) || 0) - start);
+    const widths = chunks.map((c) => displayWidth(unitsText(c)));
+    const total = widths.reduce((sum, w) => sum + w, 0);
+    let cursor = start;
+    chunks.forEach((chunk, i) => {
+      const end = cursor + (span * widths[i]) / total;
+      out.push({
+        ...seg,
+        start: cursor,
+        end,
+        text: wrapUnits(chunk, options).join("\n"),
+      });
+      cursor = end;
+    });
+  }
+  return out;
+}
+
+/**
+ * Cues for text without timing (text-only transcripts): the text cut to fit
+ * the limits and spread over `duration` seconds, or its reading time at
+ * maxCps when the duration is unknown. No cue stays up past maxDuration.
+ */
+function textSegments(text, segmentation, duration) {
+  const options = resolveSegmentation(segmentation);
+  const flat = String(text || "").trim();
+  if (!flat) return [];
+  const span =
+    Number(duration) > 0
+      ? Number(duration)
+      : Math.max(1, displayWidth(flat) / (options.maxCps || 20));
+  const maxDuration = options.maxDuration || Infinity;
+  return fitSegments([{ start: 0, end: span, text: flat }], options).map(
+    (seg) => ({ ...seg, end: Math.min(seg.end, seg.start + maxDuration) })
+  );
+}
+
+module.exports = {
+  PRESETS,
+  listSegmentationPresets,
+  resolveSegmentation,
+  segmentWords,
+  fitSegments,
+  textSegments,
+  wrapText,
+  cueLineWords,
+  withoutWords,
+};
@@ -0,0 +1,25 @@
+// subtitleArchive.js
+// Zips subtitle tracks for download as one file
+const fs = require("fs");
+const archiver = require("archiver");
+
+/**
+ * Write a zip at `outPath` holding `entries`: [{ path, name }] where `path`
+ * is a file on disk and `name` its name inside the archive.
+ */
+function zipFiles(outPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outPath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    output.on("close", () => resolve(outPath));
+    output.on("error", reject);
+    archive.on("error", reject);
+    archive.pipe(output);
+    for (const entry of entries) archive.file(entry.path, { name: entry.name });
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  zipFiles,
+};
@@ -0,0 +1,501 @@
+// subtitleFormats.js
+// One place that turns segments ({ start, end, text, speaker?, words? }) into
+// subtitle files: WebVTT, SubRip, TTML/DFXP, YouTube SBV and styled ASS.
+const fs = require("fs");
+const path = require("path");
+const { cueLineWords, textSegments } = require("./segmenter");
+const { resolveStyle, resolveSpeakerStyles } = require("./subtitleStyles");
+const { normalizeTiming } = require("./timingNormalizer");
+const { resolveLanguage, languageDirection } = require("./languages");
+const { textDirection, withDirectionMarks } = require("./textScripts");
+const { transliterateSegments, scriptDirection } = require("./transliteration");
+
+const pad = (n, z = 2) => String(n).padStart(z, "0");
+
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+  return {
+    hrs: Math.floor(totalMs / 3600000),
+    mins: Math.floor((totalMs % 3600000) / 60000),
+    secs: Math.floor((totalMs % 60000) / 1000),
+    ms: totalMs % 1000,
+  };
+}
+
+/** 00:00:01.200 */
+function toVttTime(seconds) {
+  const t = splitTime(seconds);
+  return `${pad(t.hrs)}:${pad(t.mins)}:${pad(t.secs)}.${pad(t.ms, 3)}`;
+}
+
+/** 00:00:01,200 */
+function toSrtTime(seconds) {
+  return toVttTime(seconds).replace(".", ",");
+}
+
+/** 0:00:01.200 */
+function toSbvTime(seconds) {
+  const t = splitTime(seconds);
+  return `${t.hrs}:${pad(t.mins)}:${pad(t.secs)}.${pad(t.ms, 3)}`;
+}
+
+/** 0:00:01.20 (ASS uses centiseconds) */
+function toAssTime(seconds) {
+  const t = splitTime(seconds);
+  return `${t.hrs}:${pad(t.mins)}:${pad(t.secs)}.${pad(Math.floor(t.ms / 10))}`;
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "<" and "&" start tags/entities in WebVTT cue text
+function escapeVttText(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/** Display name for a diarization label ("A" → "Speaker A" unless renamed) */
+function speakerDisplayName(label, speakerNames = {}) {
+  if (!label) return null;
+  return (speakerNames && speakerNames[label]) || `Speaker ${label}`;
+}
+
+function cueText(seg) {
+  return String(seg.text || "").replace(/\r\n/g, "\n");
+}
+
+// Formats without voice tags put the speaker in front of the text
+function withSpeakerPrefix(seg, speakerNames) {
+  const name = speakerDisplayName(seg.speaker, speakerNames);
+  if (!name) return cueText(seg);
+  // a direction mark opening the cue (see renderSubtitles) stays in front
+  const [, mark, text] = cueText(seg).match(/^([\u200e\u200f]?)([\s\S]*)$/);
+  return `${mark}${name}: ${text}`;
+}
+
+// Whole-cue italics (kept from imported files) in SRT/WebVTT markup
+function italicize(seg, text) {
+  return seg.italic ? `<i>${text}</i>` : text;
+}
+
+// Text-only transcripts become cues cut from the text (see textSegments)
+function cuesOrFullText(segments, fullText, { segmentation, mediaDuration }) {
+  if (Array.isArray(segments) && segments.length) return segments;
+  return textSegments(fullText, segmentation, mediaDuration);
+}
+
+// Rendered words of a display line; words of scripts written without
+// spaces (see cueLineWords) are not spaced out
+function joinLineWords(line, render) {
+  return line
+    .map((w, i) => (i && w.space !== false ? " " : "") + render(w))
+    .join("");
+}
+
+/** Cue text with WebVTT inline timestamps before every word after the first */
+function karaokeCueText(seg) {
+  const lines = cueLineWords(seg);
+  if (!lines) return escapeVttText(cueText(seg));
+  let first = true;
+  return lines
+    .map((line) =>
+      joinLineWords(line, (w) => {
+        const text = escapeVttText(w.text);
+        const token = first ? text : `<${toVttTime(w.start)}>${text}`;
+        first = false;
+        return token;
+      })
+    )
+    .join("\n");
+}
+
+// Imported WebVTT cue settings ("align:start line:10%") ride along on the timing line
+function cueSettings(seg) {
+  const settings = String(seg.settings || "")
+    .replace(/-->|[\r\n]/g, " ")
+    .trim();
+  return settings ? ` ${settings}` : "";
+}
+
+function renderVtt(segments, { speakerNames = {}, wordTimings = false } = {}) {
+  let vtt = "WEBVTT\n\n";
+  segments.forEach((seg, idx) => {
+    const name = speakerDisplayName(seg.speaker, speakerNames);
+    const body = italicize(
+      seg,
+      wordTimings ? karaokeCueText(seg) : escapeVttText(cueText(seg))
+    );
+    // voice annotations cannot contain ">" or line breaks
+    const text = name ? `<v ${name.replace(/[>\r\n]/g, " ")}>${body}` : body;
+    vtt += `${idx + 1}\n${toVttTime(seg.start)} --> ${toVttTime(
+      seg.end
+    )}${cueSettings(seg)}\n${text}\n\n`;
+  });
+  return vtt;
+}
+
+function renderSrt(segments, { speakerNames = {} } = {}) {
+  return segments
+    .map(
+      (seg, idx) =>
+        `${idx + 1}\n${toSrtTime(seg.start)} --> ${toSrtTime(
+          seg.end
+        )}\n${italicize(seg, withSpeakerPrefix(seg, speakerNames))}\n`
+    )
+    .join("\n");
+}
+
+function renderSbv(segments, { speakerNames = {} } = {}) {
+  return segments
+    .map(
+      (seg) =>
+        `${toSbvTime(seg.start)},${toSbvTime(seg.end)}\n${withSpeakerPrefix(
+          seg,
+          speakerNames
+        )}\n`
+    )
+    .join("\n");
+}
+
+function renderTtml(
+  segments,
+  {
+    speakerNames = {},
+    wordTimings = false,
+    language = null,
+    direction = "ltr",
+  } = {}
+) {
+  const agentId = (label) => `speaker_${String(label).replace(/\W/g, "_")}`;
+  const labels = [...new Set(segments.map((s) => s.speaker).filter(Boolean))];
+
+  const agents = labels
+    .map(
+      (label) =>
+        `      <ttm:agent xml:id="${agentId(label)}" type="person">\n` +
+        `        <ttm:name type="full">${escapeXml(
+          speakerDisplayName(label, speakerNames)
+        )}</ttm:name>\n      </ttm:agent>`
+    )
+    .join("\n");
+
+  const paragraphs = segments.map((seg) => {
+    const timed = wordTimings ? cueLineWords(seg) : null;
+    // span times are offsets from the begin of their <p>
+    const offset = (t) => toVttTime(Math.max(0, t - seg.start));
+    const lines = timed
+      ? timed.map((line) =>
+          joinLineWords(
+            line,
+            (w) =>
+              `<span begin="${offset(w.start)}" end="${offset(
+                w.end
+              )}">${escapeXml(w.text)}</span>`
+          )
+        )
+      : cueText(seg).split("\n").map(escapeXml);
+    const agent = seg.speaker ? ` ttm:agent="${agentId(seg.speaker)}"` : "";
+    const italic = seg.italic ? ` tts:fontStyle="italic"` : "";
+    // TTML carries direction as styling instead of marks in the text
+    const rtl = direction === "rtl" ? ` tts:direction="rtl"` : "";
+    return `      <p begin="${toVttTime(seg.start)}" end="${toVttTime(
+      seg.end
+    )}"${agent}${italic}${rtl}>${lines.join("<br/>")}</p>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xml:lang="${escapeXml(
+      language || ""
+    )}">`,
+    `  <head>`,
+    `    <metadata>`,
+    ...(agents ? [agents] : []),
+    `    </metadata>`,
+    `  </head>`,
+    `  <body>`,
+    `    <div>`,
+    ...paragraphs,
+    `    </div>`,
+    `  </body>`,
+    `</tt>`,
+    ``,
+  ].join("\n");
+}
+
+// "#RRGGBB[AA]" → "&HAABBGGRR"; ASS alpha is inverted (00 = opaque)
+function toAssColor(hex) {
+  const h = String(hex).replace("#", "");
+  const alpha = h.length === 8 ? 255 - parseInt(h.slice(6, 8), 16) : 0;
+  return `&H${pad(alpha.toString(16), 2)}${h.slice(4, 6)}${h.slice(
+    2,
+    4
+  )}${h.slice(0, 2)}`.toUpperCase();
+}
+
+function assStyleLine(name, s) {
+  return [
+    `Style: ${name}`,
+    s.fontName,
+    s.fontSize,
+    toAssColor(s.primaryColor),
+    toAssColor(s.secondaryColor),
+    toAssColor(s.outlineColor),
+    toAssColor(s.backColor),
+    s.bold ? -1 : 0,
+    s.italic ? -1 : 0,
+    0, // underline
+    0, // strikeout
+    100, // scaleX
+    100, // scaleY
+    0, // spacing
+    0, // angle
+    s.borderStyle,
+    s.outline,
+    s.shadow,
+    s.alignment,
+    s.marginL,
+    s.marginR,
+    s.marginV,
+    1, // encoding
+  ].join(",");
+}
+
+// ASS has no escape for override braces, and "\N" is its line break
+function escapeAssText(s) {
+  return String(s).replace(/\{/g, "(").replace(/\}/g, ")").replace(/\\/g, "/");
+}
+
+// {\k<centiseconds>} before each word so players highlight words in turn
+function karaokeAssText(seg) {
+  const lines = cueLineWords(seg);
+  if (!lines) return escapeAssText(cueText(seg)).replace(/\n/g, "\\N");
+  const flat = lines.flat();
+  let i = 0;
+  const lead = Math.round(((flat[0].start || 0) - seg.start) * 100);
+  const prefix = lead > 0 ? `{\\k${lead}}` : "";
+  return (
+    prefix +
+    lines
+      .map((line) =>
+        joinLineWords(line, (w) => {
+          const next = flat[++i];
+          const until = next ? next.start : seg.end;
+          const k = Math.max(0, Math.round((until - w.start) * 100));
+          return `{\\k${k}}${escapeAssText(w.text)}`;
+        })
+      )
+      .join("\\N")
+  );
+}
+
+/**
+ * Advanced SubStation Alpha with a base `style` (preset name or object, see
+ * subtitleStyles.js) and, for diarized cues, one style per speaker from
+ * `speakerStyles` ({ A: "social" }) or the speaker palette.
+ */
+function renderAss(
+  segments,
+  {
+    style = null,
+    speakerStyles = {},
+    speakerNames = {},
+    wordTimings = false,
+    title = "",
+  } = {}
+) {
+  const base = resolveStyle(style);
+  const labels = [...new Set(segments.map((s) => s.speaker).filter(Boolean))];
+  const perSpeaker = resolveSpeakerStyles(labels, base, speakerStyles);
+  const styleName = (label) =>
+    label ? `Speaker_${String(label).replace(/\W/g, "_")}` : "Default";
+
+  const styleLines = [assStyleLine("Default", base)].concat(
+    labels.map((label) => assStyleLine(styleName(label), perSpeaker[label]))
+  );
+
+  const events = segments.map((seg) => {
+    const name = speakerDisplayName(seg.speaker, speakerNames) || "";
+    const text =
+      (seg.italic ? "{\\i1}" : "") +
+      (wordTimings
+        ? karaokeAssText(seg)
+        : escapeAssText(cueText(seg)).replace(/\n/g, "\\N"));
+    return `Dialogue: 0,${toAssTime(seg.start)},${toAssTime(
+      seg.end
+    )},${styleName(seg.speaker)},${name.replace(/,/g, " ")},0,0,0,,${text}`;
+  });
+
+  return [
+    "[Script Info]",
+    `Title: ${String(title || "Subtitles").replace(/[\r\n]/g, " ")}`,
+    "ScriptType: v4.00+",
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    `PlayResX: ${base.playResX}`,
+    `PlayResY: ${base.playResY}`,
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    ...styleLines,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...events,
+    "",
+  ].join("\n");
+}
+
+// `directionMarks`: plain-text formats get bidi marks in the cue text
+const FORMATS = {
+  vtt: {
+    ext: "vtt",
+    contentType: "text/vtt",
+    render: renderVtt,
+    directionMarks: true,
+  },
+  srt: {
+    ext: "srt",
+    contentType: "application/x-subrip",
+    render: renderSrt,
+    directionMarks: true,
+  },
+  ttml: {
+    ext: "ttml",
+    contentType: "application/ttml+xml",
+    render: renderTtml,
+  },
+  dfxp: {
+    ext: "dfxp",
+    contentType: "application/ttml+xml",
+    render: renderTtml,
+  },
+  sbv: {
+    ext: "sbv",
+    contentType: "text/plain",
+    render: renderSbv,
+    directionMarks: true,
+  },
+  ass: {
+    ext: "ass",
+    contentType: "text/x-ssa",
+    render: renderAss,
+    directionMarks: true,
+  },
+};
+
+const FORMAT_ALIASES = {
+  webvtt: "vtt",
+  subrip: "srt",
+  xml: "ttml",
+  ssa: "ass",
+};
+
+function listSubtitleFormats() {
+  return Object.keys(FORMATS);
+}
+
+/** Normalize a format name ("SRT", "webvtt", ...); throws on unsupported formats */
+function getSubtitleFormat(name) {
+  const key = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\./, "");
+  const format = FORMATS[FORMAT_ALIASES[key] || key];
+  if (!format) throw new Error(`Unsupported subtitle format: ${name}`);
+  return format;
+}
+
+/**
+ * Parse a `format` request parameter: "srt", "srt,ttml" or ["srt", "ttml"].
+ * Returns de-duplicated extensions; throws on unsupported formats.
+ */
+function parseFormats(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const exts = list
+    .map((f) => String(f).trim())
+    .filter(Boolean)
+    .map((f) => getSubtitleFormat(f).ext);
+  return [...new Set(exts)];
+}
+
+/** Text direction of a track: its language's, else that of most of its text */
+function trackDirection(segments, language) {
+  if (resolveLanguage(language)) return languageDirection(language);
+  return textDirection(segments.map((seg) => seg.text).join(" ")) || "ltr";
+}
+
+/**
+ * Render segments as `format`. Cue timing is normalized first (see
+ * timingNormalizer.js) against `segmentation` and `mediaDuration`, text is
+ * transliterated when a `targetScript` is given (see transliteration.js),
+ * and right-to-left tracks get direction marks or TTML tts:direction.
+ * opts: { speakerNames, wordTimings, language, targetScript, fullText, style,
+ *         speakerStyles, segmentation, mediaDuration }
+ */
+function renderSubtitles(segments, format = "vtt", opts = {}) {
+  const { render, directionMarks } = getSubtitleFormat(format);
+  const { segments: timed } = normalizeTiming(
+    cuesOrFullText(segments, opts.fullText, opts),
+    { segmentation: opts.segmentation, mediaDuration: opts.mediaDuration }
+  );
+  const { targetScript, language } = opts;
+  const cues = transliterateSegments(timed, targetScript, { language });
+  const direction = targetScript
+    ? scriptDirection(targetScript)
+    : trackDirection(cues, language);
+  const marked = directionMarks
+    ? cues.map((seg) => ({
+        ...seg,
+        text: withDirectionMarks(seg.text, direction),
+      }))
+    : cues;
+  return render(marked, {
+    ...opts,
+    // Hindi written in Latin script is "hi-Latn"
+    language:
+      targetScript && language
+        ? `${String(language).split("-")[0]}-${targetScript}`
+        : language,
+    direction,
+  });
+}
+
+/** Write `baseName.<ext>` for every format into outDir; returns { ext: filename } */
+function writeSubtitleFiles(outDir, baseName, segments, formats, opts = {}) {
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const files = {};
+  for (const format of formats) {
+    const { ext } = getSubtitleFormat(format);
+    const filename = `${baseName}.${ext}`;
+    fs.writeFileSync(
+      path.join(outDir, filename),
+      renderSubtitles(segments, ext, opts),
+      "utf8"
+    );
+    files[ext] = filename;
+  }
+  return files;
+}
+
+module.exports = {
+  toVttTime,
+  toSrtTime,
+  toSbvTime,
+  toAssTime,
+  escapeXml,
+  speakerDisplayName,
+  listSubtitleFormats,
+  getSubtitleFormat,
+  parseFormats,
+  renderSubtitles,
+  writeSubtitleFiles,
+};
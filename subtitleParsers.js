@@ -0,0 +1,340 @@
+// subtitleParsers.js
+// Parses SRT, WebVTT and ASS/SSA files into the segment model used everywhere
+// else ({ start, end, text, speaker?, italic?, settings? } in seconds). Voice
+// tags / ASS actor names become speaker labels, WebVTT cue settings and
+// whole-cue italics are kept, and ASS styles are converted to style objects
+// (see subtitleStyles.js) so exports can reuse them.
+
+const SPEAKER_LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/** Decode an uploaded file (UTF-8 or UTF-16 with BOM) and normalise newlines */
+function decodeSubtitleBuffer(buffer) {
+  let text;
+  if (buffer[0] === 0xff && buffer[1] === 0xfe)
+    text = buffer.slice(2).toString("utf16le");
+  else if (buffer[0] === 0xfe && buffer[1] === 0xff)
+    text = Buffer.from(buffer.slice(2)).swap16().toString("utf16le");
+  else text = buffer.toString("utf8");
+  return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+/** Guess the format from the file extension, falling back to the content */
+function detectSubtitleFormat(content, filename = "") {
+  const ext = String(filename).split(".").pop().toLowerCase();
+  if (["srt", "vtt", "ass", "ssa"].includes(ext))
+    return ext === "ssa" ? "ass" : ext;
+  const head = String(content || "").trimStart();
+  if (head.startsWith("WEBVTT")) return "vtt";
+  if (/^\[Script Info\]/im.test(head)) return "ass";
+  if (/\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return "srt";
+  throw new Error("Unrecognised subtitle file (expected SRT, VTT or ASS)");
+}
+
+// "01:02:03,456", "02:03.456" (WebVTT) or "1:02:03.45" (ASS) → seconds
+function parseTimestamp(value) {
+  const m = String(value)
+    .trim()
+    .match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!m) throw new Error(`Invalid timestamp: ${value}`);
+  const fraction = m[4] ? Number(`0.${m[4]}`) : 0;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + fraction;
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lrm;/g, "\u200E")
+    .replace(/&rlm;/g, "\u200F")
+    .replace(/&amp;/g, "&");
+}
+
+// Cues wrapped in a single <i>...</i> are italic as a whole
+function splitItalic(markup) {
+  const m = markup.trim().match(/^<i>([\s\S]*)<\/i>$/i);
+  if (m && !/<\/i>/i.test(m[1])) return { italic: true, markup: m[1] };
+  return { italic: false, markup };
+}
+
+// Drop inline tags (<b>, <font>, <c.class>, karaoke timestamps, {\an8}) and
+// tidy whitespace while keeping line breaks
+function plainText(markup) {
+  return decodeEntities(
+    markup.replace(/<[^>]*>/g, "").replace(/\{\\[^}]*\}/g, "")
+  )
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Speaker names in order of appearance → diarization-style labels A, B, ...
+function speakerLabeler() {
+  const speakers = {};
+  const byName = new Map();
+  const label = (name) => {
+    if (!name) return null;
+    if (!byName.has(name)) {
+      const i = byName.size;
+      const l =
+        i < SPEAKER_LABELS.length
+          ? SPEAKER_LABELS[i]
+          : `S${i + 1 - SPEAKER_LABELS.length}`;
+      byName.set(name, l);
+      speakers[l] = name;
+    }
+    return byName.get(name);
+  };
+  return { label, speakers };
+}
+
+function timingLine(line) {
+  const m = line.match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+  if (!m) return null;
+  return {
+    start: parseTimestamp(m[1]),
+    end: parseTimestamp(m[2]),
+    settings: m[3].trim(),
+  };
+}
+
+function parseSrt(content) {
+  const segments = [];
+  for (const block of content.split(/\n\s*\n/)) {
+    const lines = block.split("\n");
+    const at = lines.findIndex((l) => l.includes("-->"));
+    if (at === -1) continue;
+    const timing = timingLine(lines[at].replace(/\s+X1:.*$/, ""));
+    if (!timing) continue;
+    const { italic, markup } = splitItalic(lines.slice(at + 1).join("\n"));
+    const text = plainText(markup);
+    if (!text) continue;
+    const seg = { start: timing.start, end: timing.end, text };
+    if (italic) seg.italic = true;
+    segments.push(seg);
+  }
+  return { segments, speakers: {} };
+}
+
+function parseVtt(content) {
+  if (!content.trimStart().startsWith("WEBVTT"))
+    throw new Error("WebVTT file must start with WEBVTT");
+  const { label, speakers } = speakerLabeler();
+  const segments = [];
+  // first block is the header; NOTE, STYLE and REGION blocks hold no cues
+  for (const block of content.split(/\n\s*\n/).slice(1)) {
+    const lines = block.split("\n").filter((l, i) => i > 0 || l.trim());
+    if (!lines.length || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+    const at = lines.findIndex((l) => l.includes("-->"));
+    if (at === -1 || at > 1) continue;
+    const timing = timingLine(lines[at]);
+    if (!timing) continue;
+
+    let markup = lines.slice(at + 1).join("\n");
+    const voice = markup.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    markup = markup.replace(/<\/?v(?:\.[^\s>]*)?(?:\s+[^>]*)?>/g, "");
+    const italic = splitItalic(markup);
+    const text = plainText(italic.markup);
+    if (!text) continue;
+
+    const seg = { start: timing.start, end: timing.end, text };
+    const speaker = voice ? label(decodeEntities(voice[1].trim())) : null;
+    if (speaker) seg.speaker = speaker;
+    if (italic.italic) seg.italic = true;
+    if (timing.settings) seg.settings = timing.settings;
+    segments.push(seg);
+  }
+  return { segments, speakers };
+}
+
+// "&HAABBGGRR" (ASS alpha 00 = opaque) or a decimal BGR number (SSA) →
+// "#RRGGBB" or "#RRGGBBAA"
+function fromAssColor(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return undefined;
+  const hex = (/^\d+$/.test(raw) ? Number(raw).toString(16) : raw)
+    .replace(/^&H/i, "")
+    .replace(/&$/, "")
+    .padStart(8, "0")
+    .slice(-8);
+  if (!/^[0-9a-f]{8}$/i.test(hex)) return undefined;
+  const alpha = 255 - parseInt(hex.slice(0, 2), 16);
+  const rgb = `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`;
+  return (
+    alpha === 255 ? rgb : `${rgb}${alpha.toString(16).padStart(2, "0")}`
+  ).toUpperCase();
+}
+
+// Legacy SSA (V4) alignment: 1-3 bottom, +4 top, +8 middle → numpad positions
+const SSA_ALIGNMENT = { 5: 7, 6: 8, 7: 9, 9: 4, 10: 5, 11: 6 };
+
+function fromAssStyle(fields, playRes, legacy) {
+  const num = (v) => (v === undefined || v === "" ? undefined : Number(v));
+  const flag = (v) => v !== undefined && Number(v) !== 0;
+  let alignment = num(fields.alignment);
+  if (legacy && SSA_ALIGNMENT[alignment]) alignment = SSA_ALIGNMENT[alignment];
+  const style = {
+    fontName: fields.fontname,
+    fontSize: num(fields.fontsize),
+    primaryColor: fromAssColor(fields.primarycolour),
+    secondaryColor: fromAssColor(fields.secondarycolour),
+    outlineColor: fromAssColor(fields.outlinecolour || fields.tertiarycolour),
+    backColor: fromAssColor(fields.backcolour),
+    bold: flag(fields.bold),
+    italic: flag(fields.italic),
+    borderStyle: num(fields.borderstyle) === 3 ? 3 : 1,
+    outline: num(fields.outline),
+    shadow: num(fields.shadow),
+    alignment,
+    marginL: num(fields.marginl),
+    marginR: num(fields.marginr),
+    marginV: num(fields.marginv),
+    ...playRes,
+  };
+  Object.keys(style).forEach((k) => {
+    if (style[k] === undefined || Number.isNaN(style[k])) delete style[k];
+  });
+  return style;
+}
+
+// ASS override blocks are dropped; \N and \n are line breaks, \h a hard space
+function assPlainText(text) {
+  const italic = /^\{[^}]*\\i1[^}]*\}/.test(text) && !/\\i0/.test(text);
+  const plain = text
+    .replace(/\{[^}]*\}/g, "")
+    .replace(/\\[Nn]/g, "\n")
+    .replace(/\\h/g, " ")
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+  return { italic, text: plain };
+}
+
+function parseAss(content) {
+  const { label, speakers } = speakerLabeler();
+  const styles = {};
+  const playRes = {};
+  const segments = [];
+  const cueStyles = [];
+  let section = "";
+  let format = null;
+  let legacy = false;
+
+  for (const raw of content.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith(";")) continue;
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = header[1].toLowerCase();
+      legacy = section === "v4 styles";
+      format = null;
+      continue;
+    }
+    const m = line.match(/^([^:]+):\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].trim().toLowerCase();
+
+    if (section === "script info") {
+      if (key === "playresx") playRes.playResX = Number(m[2]) || undefined;
+      if (key === "playresy") playRes.playResY = Number(m[2]) || undefined;
+      continue;
+    }
+    if (key === "format") {
+      format = m[2].split(",").map((f) => f.trim().toLowerCase());
+      continue;
+    }
+    if (!format || (key !== "style" && key !== "dialogue")) continue;
+
+    // the last field (Text) may itself contain commas
+    const parts = m[2].split(",");
+    const values = parts.slice(0, format.length - 1);
+    values.push(parts.slice(format.length - 1).join(","));
+    const fields = {};
+    format.forEach((name, i) => (fields[name] = (values[i] || "").trim()));
+
+    if (key === "style") {
+      styles[fields.name] = fields;
+      continue;
+    }
+    const { italic, text } = assPlainText(values[values.length - 1] || "");
+    if (!text) continue;
+    const seg = {
+      start: parseTimestamp(fields.start),
+      end: parseTimestamp(fields.end),
+      text,
+    };
+    const speaker = label(fields.name);
+    if (speaker) seg.speaker = speaker;
+    const styleName = (fields.style || "").replace(/^\*/, "");
+    if (italic || (styles[styleName] && Number(styles[styleName].italic)))
+      seg.italic = true;
+    segments.push(seg);
+    cueStyles.push(styleName);
+  }
+
+  const converted = {};
+  Object.keys(styles).forEach((name) => {
+    converted[name] = fromAssStyle(styles[name], playRes, legacy);
+  });
+  const names = Object.keys(converted);
+  const defaultName = converted.Default ? "Default" : names[0];
+
+  // a speaker whose lines all use one non-default style keeps that style
+  const speakerStyles = {};
+  Object.keys(speakers).forEach((l) => {
+    const used = new Set(
+      segments
+        .map((seg, i) => (seg.speaker === l ? cueStyles[i] : null))
+        .filter((name) => name !== null)
+    );
+    const [only] = used;
+    if (used.size === 1 && only !== defaultName && converted[only])
+      speakerStyles[l] = converted[only];
+  });
+
+  return {
+    segments,
+    speakers,
+    style: defaultName ? converted[defaultName] : null,
+    speakerStyles: Object.keys(speakerStyles).length ? speakerStyles : null,
+  };
+}
+
+const PARSERS = { srt: parseSrt, vtt: parseVtt, ass: parseAss };
+
+/**
+ * Parse subtitle file content into { format, segments, speakers, style?,
+ * speakerStyles? }. `format` is "srt", "vtt" or "ass" (guessed from the
+ * filename/content when omitted); cues come back sorted by start time.
+ */
+function parseSubtitleFile(content, { format = null, filename = "" } = {}) {
+  const text = Buffer.isBuffer(content)
+    ? decodeSubtitleBuffer(content)
+    : content;
+  let kind = format ? String(format).trim().toLowerCase() : null;
+  if (kind === "ssa") kind = "ass";
+  if (kind === "webvtt") kind = "vtt";
+  if (kind === "subrip") kind = "srt";
+  if (!kind) kind = detectSubtitleFormat(text, filename);
+  if (!PARSERS[kind]) throw new Error(`Unsupported import format: ${format}`);
+
+  const parsed = PARSERS[kind](
+    String(text || "")
+      .replace(/^\uFEFF/, "")
+      .replace(/\r\n?/g, "\n")
+  );
+  parsed.segments = parsed.segments
+    .filter((seg) => seg.end >= seg.start)
+    .sort((a, b) => a.start - b.start);
+  if (!parsed.segments.length)
+    throw new Error(`No cues found in ${kind.toUpperCase()} file`);
+  return { format: kind, ...parsed };
+}
+
+module.exports = {
+  detectSubtitleFormat,
+  parseTimestamp,
+  parseSubtitleFile,
+};
@@ -0,0 +1,248 @@
+// subtitleStyles.js
+// Named caption style presets for styled (ASS/SSA) output. Built-in presets
+// can be overridden and extended with presets stored in DATA_DIR/styles.json.
+// Colors are CSS hex ("#RRGGBB" or "#RRGGBBAA"), sizes/margins in pixels of a
+// playResX x playResY canvas, alignment uses numpad positions (2 = bottom center).
+const path = require("path");
+const { dataDir, readJson, writeJson } = require("./jsonStore");
+
+const stylesFile = path.join(dataDir, "styles.json");
+
+const BUILTIN_STYLES = {
+  default: {
+    fontName: "Arial",
+    fontSize: 54,
+    primaryColor: "#FFFFFF",
+    secondaryColor: "#FFFF00",
+    outlineColor: "#000000",
+    backColor: "#00000080",
+    bold: false,
+    italic: false,
+    borderStyle: 1,
+    outline: 2,
+    shadow: 1,
+    alignment: 2,
+    marginL: 60,
+    marginR: 60,
+    marginV: 50,
+    playResX: 1920,
+    playResY: 1080,
+  },
+  // Heavy centered captions for vertical short-form clips
+  social: {
+    fontName: "Montserrat",
+    fontSize: 96,
+    primaryColor: "#FFFFFF",
+    secondaryColor: "#FFD400",
+    outlineColor: "#000000",
+    backColor: "#00000000",
+    bold: true,
+    italic: false,
+    borderStyle: 1,
+    outline: 6,
+    shadow: 0,
+    alignment: 5,
+    marginL: 80,
+    marginR: 80,
+    marginV: 0,
+    playResX: 1080,
+    playResY: 1920,
+  },
+  // White text on a translucent box, broadcast style
+  boxed: {
+    fontName: "Arial",
+    fontSize: 50,
+    primaryColor: "#FFFFFF",
+    secondaryColor: "#FFFFFF",
+    outlineColor: "#000000B0",
+    backColor: "#000000B0",
+    bold: false,
+    italic: false,
+    borderStyle: 3,
+    outline: 8,
+    shadow: 0,
+    alignment: 2,
+    marginL: 120,
+    marginR: 120,
+    marginV: 60,
+    playResX: 1920,
+    playResY: 1080,
+  },
+  minimal: {
+    fontName: "Helvetica",
+    fontSize: 44,
+    primaryColor: "#FFFFFF",
+    secondaryColor: "#FFFFFF",
+    outlineColor: "#00000099",
+    backColor: "#00000000",
+    bold: false,
+    italic: false,
+    borderStyle: 1,
+    outline: 1,
+    shadow: 0,
+    alignment: 2,
+    marginL: 60,
+    marginR: 60,
+    marginV: 40,
+    playResX: 1920,
+    playResY: 1080,
+  },
+};
+
+// Primary colors handed to diarized speakers without an explicit style
+const SPEAKER_PALETTE = [
+  "#FFFFFF",
+  "#FFE066",
+  "#7FDBFF",
+  "#B8F2A0",
+  "#FFA8D5",
+  "#FFB870",
+];
+
+const COLOR_KEYS = [
+  "primaryColor",
+  "secondaryColor",
+  "outlineColor",
+  "backColor",
+];
+const NUMBER_KEYS = [
+  "fontSize",
+  "borderStyle",
+  "outline",
+  "shadow",
+  "alignment",
+  "marginL",
+  "marginR",
+  "marginV",
+  "playResX",
+  "playResY",
+];
+
+function loadStoredStyles() {
+  const stored = readJson(stylesFile, {});
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+/** Built-in and stored presets by name (stored presets win) */
+function listStyles() {
+  return { ...BUILTIN_STYLES, ...loadStoredStyles() };
+}
+
+/** Validate style overrides; returns the cleaned fields or throws */
+function validateStyleFields(fields) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields))
+    throw new Error("style must be a preset name or an object");
+  const out = {};
+  if (fields.fontName !== undefined) {
+    const font = String(fields.fontName).trim();
+    // ASS style lines are comma separated
+    if (!font || /[,\r\n]/.test(font))
+      throw new Error("Invalid style fontName");
+    out.fontName = font;
+  }
+  for (const key of COLOR_KEYS) {
+    if (fields[key] === undefined) continue;
+    if (!/^#?[0-9a-f]{6}([0-9a-f]{2})?$/i.test(String(fields[key])))
+      throw new Error(`Invalid style ${key}: ${fields[key]}`);
+    out[key] = String(fields[key]).startsWith("#")
+      ? String(fields[key])
+      : `#${fields[key]}`;
+  }
+  for (const key of NUMBER_KEYS) {
+    if (fields[key] === undefined) continue;
+    const value = Number(fields[key]);
+    if (!Number.isFinite(value) || value < 0)
+      throw new Error(`Invalid style ${key}: ${fields[key]}`);
+    out[key] = value;
+  }
+  if (
+    out.alignment !== undefined &&
+    !(out.alignment >= 1 && out.alignment <= 9)
+  )
+    throw new Error("style alignment must be 1-9");
+  if (out.borderStyle !== undefined && ![1, 3].includes(out.borderStyle))
+    throw new Error("style borderStyle must be 1 (outline) or 3 (box)");
+  for (const key of ["bold", "italic"]) {
+    if (fields[key] !== undefined)
+      out[key] = fields[key] === true || fields[key] === "true";
+  }
+  return out;
+}
+
+/**
+ * Resolve a style from a preset name, or an object with an optional `preset`
+ * plus overrides. Throws on unknown presets or invalid fields.
+ */
+function resolveStyle(input) {
+  const styles = listStyles();
+  // own keys only: "constructor" and friends are not presets
+  const lookup = (name) => {
+    const key = normalizeName(name);
+    if (!Object.hasOwn(styles, key))
+      throw new Error(`Unknown style preset: ${name}`);
+    return styles[key];
+  };
+  if (input === undefined || input === null || input === "")
+    return { ...BUILTIN_STYLES.default };
+  if (typeof input === "string") return { ...lookup(input) };
+  const base = input.preset ? lookup(input.preset) : BUILTIN_STYLES.default;
+  return { ...BUILTIN_STYLES.default, ...base, ...validateStyleFields(input) };
+}
+
+/**
+ * Styles per diarization label: explicit `speakerStyles` entries win,
+ * other speakers get the base style in a palette color.
+ */
+function resolveSpeakerStyles(labels, baseStyle, speakerStyles = {}) {
+  const out = {};
+  (labels || []).forEach((label, i) => {
+    const explicit =
+      speakerStyles && Object.hasOwn(speakerStyles, label)
+        ? speakerStyles[label]
+        : null;
+    out[label] = explicit
+      ? resolveStyle(explicit)
+      : {
+          ...baseStyle,
+          primaryColor: SPEAKER_PALETTE[i % SPEAKER_PALETTE.length],
+        };
+  });
+  return out;
+}
+
+/** Create or replace a stored preset (built-in names can be overridden) */
+function saveStyle(name, fields) {
+  const key = normalizeName(name);
+  if (!/^[a-z0-9_-]{1,64}$/.test(key))
+    throw new Error("Style name must be 1-64 chars of a-z, 0-9, _ or -");
+  const style = resolveStyle({ ...fields, preset: fields.preset || "default" });
+  const stored = loadStoredStyles();
+  stored[key] = style;
+  writeJson(stylesFile, stored);
+  return style;
+}
+
+/** Remove a stored preset; returns false when there was none */
+function deleteStyle(name) {
+  const key = normalizeName(name);
+  const stored = loadStoredStyles();
+  if (!Object.hasOwn(stored, key)) return false;
+  delete stored[key];
+  writeJson(stylesFile, stored);
+  return true;
+}
+
+module.exports = {
+  BUILTIN_STYLES,
+  listStyles,
+  resolveStyle,
+  resolveSpeakerStyles,
+  saveStyle,
+  deleteStyle,
+};
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  packBatches,
+  unpackBatch,
+  translateInBatches,
+} = require("../batchTranslator");
+
+// a fake engine that upper-cases text and keeps the markers
+const upper = async (text) => text.toUpperCase();
+
+test("packBatches limits cues, characters and bytes per batch", () => {
+  const texts = ["one", "two", "three", "four", "five"];
+  assert.deepStrictEqual(packBatches(texts, { maxChars: 1000, maxCues: 2 }), [
+    [0, 1],
+    [2, 3],
+    [4],
+  ]);
+  // a cue costs its length + 6 ("[[k]] " and the line break)
+  assert.deepStrictEqual(packBatches(texts, { maxChars: 20, maxCues: 10 }), [
+    [0, 1],
+    [2],
+    [3, 4],
+  ]);
+  // "é" is two bytes: the byte limit splits what the character limit allows
+  const accented = ["café", "crème", "thé"];
+  assert.deepStrictEqual(
+    packBatches(accented, { maxChars: 100, maxCues: 10 }),
+    [[0, 1, 2]]
+  );
+  assert.deepStrictEqual(
+    packBatches(accented, { maxChars: 100, maxCues: 10, maxBytes: 25 }),
+    [[0, 1], [2]]
+  );
+  // a cue longer than every limit still gets a batch of its own
+  assert.deepStrictEqual(
+    packBatches(["x".repeat(50), "y"], { maxChars: 10, maxCues: 10 }),
+    [[0], [1]]
+  );
+});
+
+test("unpackBatch splits on markers and rejects damaged batches", () => {
+  assert.deepStrictEqual(unpackBatch("[[0]] Bonjour\n[[1]]  le\n monde ", 2), [
+    "Bonjour",
+    "le monde",
+  ]);
+  assert.deepStrictEqual(unpackBatch("[[ 0 ]] a [[ 1 ]] b", 2), ["a", "b"]);
+  assert.strictEqual(unpackBatch("[[0]] a [[1]] b", 3), null);
+  assert.strictEqual(unpackBatch("[[1]] a [[0]] b", 2), null);
+  assert.strictEqual(unpackBatch("[[0]] a [[0]] b", 2), null);
+  assert.strictEqual(unpackBatch("[[0]] a [[1]]", 2), null);
+  assert.strictEqual(unpackBatch("no markers", 1), null);
+});
+
+test("translateInBatches keeps order, skips empty cues and flattens lines", async () => {
+  const calls = [];
+  const { texts, stats } = await translateInBatches(
+    ["first\nline", "", "second", "third"],
+    async (text) => {
+      calls.push(text);
+      return upper(text);
+    },
+    { maxCues: 2 }
+  );
+  assert.deepStrictEqual(texts, ["FIRST LINE", "", "SECOND", "THIRD"]);
+  assert.deepStrictEqual(stats, { cues: 3, batches: 2, fallbackBatches: 0 });
+  assert.deepStrictEqual(calls, ["[[0]] first line\n[[1]] second", "third"]);
+});
+
+test("a batch that comes back damaged is translated cue by cue", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { texts, stats } = await translateInBatches(
+    ["a", "b", "c"],
+    // the engine drops the markers of packed requests
+    async (text) => upper(text.replace(/\[\[\d+\]\]\s*/g, "")),
+    { maxCues: 3 }
+  );
+  assert.deepStrictEqual(texts, ["A", "B", "C"]);
+  assert.deepStrictEqual(stats, { cues: 3, batches: 1, fallbackBatches: 1 });
+});
+
+test("cues whose translation fails keep their source text", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { texts, stats } = await translateInBatches(
+    ["ok", "broken", "blank"],
+    async (text) => {
+      if (text.includes("[[")) throw new Error("batch refused");
+      if (text === "broken") throw new Error("engine down");
+      return text === "blank" ? "  " : upper(text);
+    }
+  );
+  assert.deepStrictEqual(texts, ["OK", "broken", "blank"]);
+  assert.strictEqual(stats.fallbackBatches, 1);
+});
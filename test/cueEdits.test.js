@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { applyCueEdits, diffCues } = require("../cueEdits");
+
+const words = (start, end, ...tokens) =>
+  tokens.map((word, i) => ({
+    start: start + ((end - start) * i) / tokens.length,
+    end: start + ((end - start) * (i + 1)) / tokens.length,
+    word,
+  }));
+
+const cues = [
+  {
+    start: 0,
+    end: 2,
+    text: "Hello there",
+    speaker: "A",
+    words: words(0, 2, "Hello", "there"),
+  },
+  { start: 2, end: 4, text: "General Kenobi", speaker: "B" },
+  { start: 5, end: 9, text: "You are a bold one" },
+];
+
+test("edit changes fields and drops word timing that no longer matches", () => {
+  const [cue] = applyCueEdits(cues, [
+    { op: "edit", index: 0, text: "Hi there", speaker: null },
+  ]);
+  assert.deepStrictEqual(cue, { start: 0, end: 2, text: "Hi there" });
+
+  const [same] = applyCueEdits(cues, [{ op: "edit", index: 0, speaker: "C" }]);
+  assert.strictEqual(same.speaker, "C");
+  assert.strictEqual(same.words.length, 2);
+});
+
+test("insert, delete and merge", () => {
+  const inserted = applyCueEdits(cues, [
+    { op: "insert", index: 1, start: 2, end: 2.5, text: " Oh " },
+  ]);
+  assert.deepStrictEqual(
+    inserted.map((c) => c.text),
+    ["Hello there", "Oh", "General Kenobi", "You are a bold one"]
+  );
+
+  const deleted = applyCueEdits(cues, [{ op: "delete", index: 1 }]);
+  assert.deepStrictEqual(
+    deleted.map((c) => c.text),
+    ["Hello there", "You are a bold one"]
+  );
+
+  const [merged] = applyCueEdits(cues, [{ op: "merge", index: 0 }]);
+  assert.deepStrictEqual(merged, {
+    start: 0,
+    end: 4,
+    text: "Hello there General Kenobi",
+    speaker: "A",
+  });
+});
+
+test("split at a time, a position, or between the middle words", () => {
+  const atTime = applyCueEdits(cues, [{ op: "split", index: 0, at: 1 }]);
+  assert.deepStrictEqual(
+    atTime.slice(0, 2).map(({ start, end, text, words }) => ({
+      start,
+      end,
+      text,
+      words: words.map((w) => w.word),
+    })),
+    [
+      { start: 0, end: 1, text: "Hello", words: ["Hello"] },
+      { start: 1, end: 2, text: "there", words: ["there"] },
+    ]
+  );
+
+  const atPosition = applyCueEdits(cues, [
+    { op: "split", index: 2, position: 7 },
+  ]);
+  assert.deepStrictEqual(
+    atPosition.slice(2).map((c) => [c.start, c.end, c.text]),
+    [
+      [5, 6.556, "You are"],
+      [6.556, 9, "a bold one"],
+    ]
+  );
+
+  const middle = applyCueEdits(cues, [{ op: "split", index: 2 }]);
+  assert.deepStrictEqual(
+    middle.slice(2).map((c) => c.text),
+    // word breaks as near the middle as each other: the earlier one wins
+    ["You are", "a bold one"]
+  );
+});
+
+test("operations apply in order and errors name the failing one", () => {
+  const out = applyCueEdits(cues, [
+    { op: "delete", index: 0 },
+    { op: "edit", index: 0, end: 4.5 },
+  ]);
+  assert.deepStrictEqual(out[0], {
+    start: 2,
+    end: 4.5,
+    text: "General Kenobi",
+    speaker: "B",
+  });
+
+  assert.throws(
+    () => applyCueEdits(cues, []),
+    /operations must be a non-empty array/
+  );
+  assert.throws(
+    () => applyCueEdits(cues, [{ op: "rename", index: 0 }]),
+    /^Error: operation 1: op must be one of edit, insert/
+  );
+  assert.throws(
+    () =>
+      applyCueEdits(cues, [
+        { op: "delete", index: 2 },
+        { op: "delete", index: 2 },
+      ]),
+    /^Error: operation 2 \(delete\): No cue at index 2$/
+  );
+  assert.throws(
+    () => applyCueEdits(cues, [{ op: "edit", index: 1, end: 1 }]),
+    /end must be after start/
+  );
+  assert.throws(
+    () => applyCueEdits(cues, [{ op: "merge", index: 2 }]),
+    /Cannot merge 2 cues from index 2/
+  );
+  assert.throws(
+    () => applyCueEdits(cues, [{ op: "split", index: 1, at: 7 }]),
+    /at must fall inside the cue/
+  );
+});
+
+test("the input cues are not modified", () => {
+  const before = JSON.stringify(cues);
+  applyCueEdits(cues, [
+    { op: "edit", index: 0, text: "Hi" },
+    { op: "split", index: 2 },
+    { op: "merge", index: 0, count: 3 },
+  ]);
+  assert.strictEqual(JSON.stringify(cues), before);
+});
+
+test("diffCues pairs removed and added cues that overlap in time", () => {
+  const edited = applyCueEdits(cues, [
+    { op: "edit", index: 1, text: "General Grievous" },
+    { op: "delete", index: 0 },
+    { op: "insert", start: 10, end: 11, text: "Back away!" },
+  ]);
+  const { changes, summary } = diffCues(cues, edited);
+  assert.deepStrictEqual(summary, {
+    added: 1,
+    removed: 1,
+    changed: 1,
+    unchanged: 1,
+  });
+  assert.deepStrictEqual(
+    changes.map((c) => [c.type, c.fromIndex, c.toIndex]),
+    [
+      ["removed", 0, undefined],
+      ["changed", 1, 0],
+      ["added", undefined, 2],
+    ]
+  );
+  assert.deepStrictEqual(changes[1].fields, ["text"]);
+  assert.strictEqual(changes[0].before.words, undefined);
+
+  assert.deepStrictEqual(diffCues(cues, cues), {
+    changes: [],
+    summary: { added: 0, removed: 0, changed: 0, unchanged: 3 },
+  });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// jsonStore reads DATA_DIR when it is first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "glossaries-"));
+const {
+  getGlossary,
+  saveGlossary,
+  deleteGlossary,
+  maskTerms,
+  restoreTerms,
+  unenforcedTerms,
+} = require("../glossaries");
+
+test.after(() =>
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true })
+);
+
+const glossary = {
+  terms: [
+    { source: "Black Friday", targets: { fr: "Vendredi noir" } },
+    { source: "Black Friday Sale", targets: { fr: "Soldes du Vendredi noir" } },
+  ],
+  protected: ["Zara"],
+};
+
+test("glossaries are saved, read and deleted by name", () => {
+  const saved = saveGlossary("Shop", glossary);
+  assert.strictEqual(saved.protected[0], "Zara");
+  assert.deepStrictEqual(getGlossary(" shop ").terms, saved.terms);
+  assert.strictEqual(deleteGlossary("shop"), true);
+  assert.strictEqual(getGlossary("shop"), null);
+  assert.strictEqual(deleteGlossary("shop"), false);
+});
+
+test("object prototype keys are not glossaries", () => {
+  for (const name of ["constructor", "toString", "hasOwnProperty"]) {
+    assert.strictEqual(getGlossary(name), null);
+    assert.strictEqual(deleteGlossary(name), false);
+  }
+  assert.throws(() => saveGlossary("__proto__", glossary), /Glossary name/);
+});
+
+test("maskTerms hides the longest matching terms behind tokens", () => {
+  const masked = maskTerms("The black friday sale at Zara", glossary, "fr-FR");
+  assert.strictEqual(masked.text, "The __T0__ at __T1__");
+  assert.deepStrictEqual(
+    masked.terms.map((t) => t.target),
+    ["Soldes du Vendredi noir", "Zara"]
+  );
+
+  const restored = restoreTerms("Les __ T0 __ chez __t1__", masked.terms);
+  assert.strictEqual(restored.text, "Les Soldes du Vendredi noir chez Zara");
+  assert.deepStrictEqual(restored.missing, []);
+  assert.strictEqual(
+    restoreTerms("Les soldes", masked.terms).missing.length,
+    2
+  );
+});
+
+test("unenforcedTerms lists forced terms missing from a translation", () => {
+  const missing = unenforcedTerms(
+    "Black Friday at Zara",
+    "Le Black Friday chez Zara",
+    glossary,
+    "fr"
+  );
+  assert.deepStrictEqual(
+    missing.map((t) => t.source),
+    ["Black Friday"]
+  );
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// jsonStore reads DATA_DIR when it is first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+const jobsFile = path.join(process.env.DATA_DIR, "jobs.json");
+
+const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+const now = new Date().toISOString();
+const saved = (id, status, attempts, updatedAt = now) => ({
+  id,
+  type: "echo",
+  status,
+  stage: status,
+  progress: 50,
+  params: { value: id },
+  result: null,
+  error: null,
+  attempts,
+  createdAt: updatedAt,
+  updatedAt,
+});
+// the state a crash leaves behind
+fs.writeFileSync(
+  jobsFile,
+  JSON.stringify([
+    saved("interrupted", "running", 1),
+    saved("crashes-the-server", "running", 3),
+    saved("done-long-ago", "completed", 1, old),
+    saved("done-recently", "completed", 1),
+  ])
+);
+
+const {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  startJobQueue,
+} = require("../jobQueue");
+
+test.after(() =>
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true })
+);
+
+const ran = [];
+registerJobHandler("echo", async ({ value }, ctx) => {
+  ran.push(value);
+  for (let i = 1; i <= 50; i++)
+    ctx.update({ stage: "working", progress: i * 2 });
+  if (value === "fail") throw new Error("no luck");
+  return { value };
+});
+
+const settled = (id) =>
+  new Promise((resolve) => {
+    const poll = () => {
+      const job = getJob(id);
+      if (job.status === "completed" || job.status === "failed") resolve(job);
+      else setTimeout(poll, 5);
+    };
+    poll();
+  });
+
+test("a restart re-runs interrupted jobs, up to the attempt limit", async () => {
+  startJobQueue();
+  assert.strictEqual(getJob("done-long-ago"), null);
+  assert.strictEqual(getJob("done-recently").status, "completed");
+
+  const crashed = getJob("crashes-the-server");
+  assert.strictEqual(crashed.status, "failed");
+  assert.match(crashed.error, /Gave up after 3 attempts/);
+
+  const resumed = await settled("interrupted");
+  assert.strictEqual(resumed.status, "completed");
+  assert.deepStrictEqual(resumed.result, { value: "interrupted" });
+  assert.deepStrictEqual(ran, ["interrupted"]);
+});
+
+test("jobs report progress and end completed or failed", async () => {
+  const ok = await settled(enqueueJob("echo", { value: "ok" }).id);
+  assert.strictEqual(ok.progress, 100);
+  assert.strictEqual(ok.stage, "done");
+
+  const failed = await settled(enqueueJob("echo", { value: "fail" }).id);
+  assert.strictEqual(failed.status, "failed");
+  assert.strictEqual(failed.error, "no luck");
+  assert.strictEqual(failed.params, undefined);
+
+  assert.throws(() => enqueueJob("nope"), /No job handler/);
+});
+
+test("finished jobs are on disk without waiting for progress writes", async () => {
+  const job = await settled(enqueueJob("echo", { value: "saved" }).id);
+  const stored = JSON.parse(fs.readFileSync(jobsFile, "utf8")).find(
+    (j) => j.id === job.id
+  );
+  assert.strictEqual(stored.status, "completed");
+  assert.strictEqual(stored.progress, 100);
+});
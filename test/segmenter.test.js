@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { fitSegments } = require("../segmenter");
+const { displayWidth } = require("../textScripts");
+
+const WORDS = "so we walked along the river, talking about nothing much.".split(
+  " "
+);
+
+// `count` words of running text
+const longText = (count) =>
+  Array.from({ length: count }, (_, i) => WORDS[i % WORDS.length]).join(" ");
+
+test("fitSegments splits one long cue quickly", () => {
+  const text = longText(2000);
+  const started = Date.now();
+  const cues = fitSegments([{ start: 0, end: 600, text }], "standard");
+  assert.ok(Date.now() - started < 2000, "took too long");
+
+  assert.ok(cues.length > 1);
+  for (const cue of cues) {
+    assert.ok(cue.text.split("\n").length <= 2);
+    assert.ok(displayWidth(cue.text.replace(/\n/g, " ")) <= 84, cue.text);
+  }
+  assert.strictEqual(
+    cues.map((c) => c.text.replace(/\n/g, " ")).join(" "),
+    text
+  );
+  assert.strictEqual(cues[0].start, 0);
+  assert.ok(Math.abs(cues[cues.length - 1].end - 600) < 1e-6);
+});
+
+test("fitSegments keeps word timing when splitting a long cue", () => {
+  const text = longText(500);
+  const words = text
+    .split(" ")
+    .map((w, i) => ({ text: w, start: i * 0.3, end: i * 0.3 + 0.25 }));
+  const cues = fitSegments(
+    [{ start: 0, end: words[words.length - 1].end, text, words }],
+    "social"
+  );
+
+  assert.strictEqual(cues.flatMap((c) => c.words).length, words.length);
+  for (const cue of cues) {
+    assert.ok(displayWidth(cue.text) <= 24, cue.text);
+    assert.strictEqual(cue.start, cue.words[0].start);
+  }
+});
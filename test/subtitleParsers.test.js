@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  detectSubtitleFormat,
+  parseTimestamp,
+  parseSubtitleFile,
+} = require("../subtitleParsers");
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,500
+<i>Hello &amp; welcome</i>
+
+2
+00:00:03,600 --> 00:00:05,000
+{\\an8}Second <b>line</b>
+two
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE a comment
+
+STYLE
+::cue { color: red }
+
+c1
+00:01.000 --> 00:02.500 align:start line:10%
+<v.loud Alice>Hi &lt;there&gt;</v>
+
+00:03.000 --> 00:04.000
+<v Bob><i>psst</i>
+`;
+
+const ASS = `[Script Info]
+PlayResX: 1280
+PlayResY: 720
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,40,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,20,20,30,1
+Style: Sign,Verdana,30,&H0000FFFF,&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,2,1,8,20,20,30,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:05.00,0:00:06.50,Default,Jo,0,0,0,,{\\i1}Later, line\\Nwith break
+Dialogue: 0,0:00:01.00,0:00:02.00,Sign,Narrator,0,0,0,,{\\pos(10,10)}Top sign
+`;
+
+test("parseTimestamp reads SRT, WebVTT and ASS times", () => {
+  assert.strictEqual(parseTimestamp("01:02:03,456"), 3723.456);
+  assert.strictEqual(parseTimestamp("02:03.5"), 123.5);
+  assert.strictEqual(parseTimestamp("1:02:03.45"), 3723.45);
+  assert.throws(() => parseTimestamp("soon"), /Invalid timestamp/);
+});
+
+test("detectSubtitleFormat uses the extension, then the content", () => {
+  assert.strictEqual(detectSubtitleFormat("", "movie.SSA"), "ass");
+  assert.strictEqual(detectSubtitleFormat(VTT), "vtt");
+  assert.strictEqual(detectSubtitleFormat(ASS), "ass");
+  assert.strictEqual(detectSubtitleFormat(SRT), "srt");
+  assert.throws(() => detectSubtitleFormat("hello"), /Unrecognised/);
+});
+
+test("SRT cues keep line breaks and whole-cue italics, not tags", () => {
+  const { format, segments } = parseSubtitleFile(SRT);
+  assert.strictEqual(format, "srt");
+  assert.deepStrictEqual(segments, [
+    { start: 1, end: 3.5, text: "Hello & welcome", italic: true },
+    { start: 3.6, end: 5, text: "Second line\ntwo" },
+  ]);
+});
+
+test("WebVTT voices become speaker labels and header blocks are skipped", () => {
+  const { segments, speakers } = parseSubtitleFile(VTT);
+  assert.deepStrictEqual(speakers, { A: "Alice", B: "Bob" });
+  assert.deepStrictEqual(segments, [
+    {
+      start: 1,
+      end: 2.5,
+      text: "Hi <there>",
+      speaker: "A",
+      settings: "align:start line:10%",
+    },
+    { start: 3, end: 4, text: "psst", speaker: "B", italic: true },
+  ]);
+});
+
+test("ASS events are sorted and their styles imported", () => {
+  const parsed = parseSubtitleFile(ASS, { filename: "show.ass" });
+  assert.deepStrictEqual(
+    parsed.segments.map((s) => [s.start, s.text, s.speaker]),
+    [
+      [1, "Top sign", "B"],
+      [5, "Later, line\nwith break", "A"],
+    ]
+  );
+  assert.strictEqual(parsed.segments[1].italic, true);
+  assert.deepStrictEqual(parsed.speakers, { A: "Jo", B: "Narrator" });
+  assert.strictEqual(parsed.style.fontName, "Arial");
+  assert.strictEqual(parsed.style.backColor, "#0000007F");
+  assert.strictEqual(parsed.speakerStyles.B.primaryColor, "#FFFF00");
+  assert.strictEqual(parsed.speakerStyles.B.alignment, 8);
+});
+
+test("UTF-16 files with a byte order mark are decoded", () => {
+  const buffer = Buffer.concat([
+    Buffer.from([0xff, 0xfe]),
+    Buffer.from(SRT.replace(/\n/g, "\r\n"), "utf16le"),
+  ]);
+  const { segments } = parseSubtitleFile(buffer, { filename: "a.srt" });
+  assert.strictEqual(segments[1].text, "Second line\ntwo");
+});
+
+test("files without cues are rejected", () => {
+  assert.throws(
+    () => parseSubtitleFile("WEBVTT\n\nNOTE nothing here\n"),
+    /No cues found in VTT file/
+  );
+  assert.throws(
+    () => parseSubtitleFile(SRT, { format: "sbv" }),
+    /Unsupported import format/
+  );
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeTiming } = require("../timingNormalizer");
+const { renderSubtitles } = require("../subtitleFormats");
+
+const times = (segments) => segments.map((s) => [s.start, s.end]);
+
+test("overlaps end minGap before the next cue", () => {
+  const { segments, report } = normalizeTiming(
+    [
+      { start: 0, end: 2, text: "a" },
+      { start: 1.5, end: 3, text: "b" },
+    ],
+    { segmentation: "standard" }
+  );
+  assert.deepStrictEqual(times(segments), [
+    [0, 1.42],
+    [1.5, 3],
+  ]);
+  assert.strictEqual(report.overlapsFixed, 1);
+});
+
+test("a cue with no room for minDuration pushes the next one back", () => {
+  const { segments, report } = normalizeTiming(
+    [
+      { start: 0, end: 1, text: "a" },
+      { start: 0.2, end: 2, text: "b" },
+    ],
+    { segmentation: "standard" }
+  );
+  assert.deepStrictEqual(times(segments), [
+    [0, 1],
+    [1.08, 2.08],
+  ]);
+  assert.strictEqual(report.changes[0].reason, "overlap-shifted");
+});
+
+test("empty cues are dropped and cues clamped to the media", () => {
+  const { segments, report } = normalizeTiming(
+    [
+      { start: 6, end: 7, text: " " },
+      { start: -1, end: 2, text: "a" },
+      { start: 20, end: 25, text: "b" },
+      { start: 30, end: 31, text: "c" },
+    ],
+    { segmentation: "standard", mediaDuration: 22 }
+  );
+  assert.deepStrictEqual(times(segments), [
+    [0, 2],
+    [20, 22],
+  ]);
+  assert.strictEqual(report.dropped, 2);
+  assert.strictEqual(report.clamped, 2);
+  assert.deepStrictEqual(
+    report.changes.filter((c) => !c.after).map((c) => c.reason),
+    ["empty", "after-media-end"]
+  );
+});
+
+test("short cues grow to minDuration, but only into the following gap", () => {
+  const { segments, report } = normalizeTiming(
+    [
+      { start: 5, end: 5.1, text: "a" },
+      { start: 5.5, end: 7, text: "b" },
+      { start: 9, end: 9.1, text: "c" },
+    ],
+    { segmentation: "bbc" }
+  );
+  assert.deepStrictEqual(times(segments), [
+    [5, 5.42],
+    [5.5, 7],
+    [9, 10.2],
+  ]);
+  assert.strictEqual(report.extended, 2);
+});
+
+test("the input cues are not mutated", () => {
+  const input = [
+    { start: 0, end: 2, text: "a" },
+    { start: 1, end: 3, text: "b" },
+  ];
+  const copy = JSON.parse(JSON.stringify(input));
+  normalizeTiming(input);
+  assert.deepStrictEqual(input, copy);
+});
+
+test("a text-only transcript becomes cues within the preset limits", () => {
+  const fullText = "Nobody timed this transcript at all. ".repeat(30);
+  const srt = renderSubtitles([], "srt", {
+    fullText,
+    mediaDuration: 3600,
+    segmentation: "standard",
+  });
+  const cues = srt.trim().split(/\n\n/);
+  assert.ok(cues.length > 10);
+  for (const cue of cues) {
+    const [, timing, ...lines] = cue.split("\n");
+    const [start, end] = timing.split(" --> ").map((t) => {
+      const [h, m, s] = t.replace(",", ".").split(":").map(Number);
+      return h * 3600 + m * 60 + s;
+    });
+    assert.ok(end - start <= 6 + 1e-6, timing);
+    assert.ok(lines.length <= 2);
+  }
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// jsonStore reads DATA_DIR when it is first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "memory-"));
+const {
+  HUMAN,
+  lookupTranslation,
+  rememberTranslation,
+  updateMemoryEntry,
+  deleteMemoryEntry,
+  listMemoryEntries,
+  purgeMemory,
+} = require("../translationMemory");
+
+test.after(() =>
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true })
+);
+test.afterEach(() => purgeMemory());
+
+const machine = (source, target, provider = "mymemory") =>
+  rememberTranslation({
+    source,
+    target,
+    sourceLang: "en",
+    targetLang: "fr",
+    provider,
+  });
+
+test("machine entries are per provider and ignore spacing", () => {
+  machine("Good  morning", "Bonjour");
+  assert.strictEqual(
+    lookupTranslation(" Good morning ", "EN", "fr", "mymemory").target,
+    "Bonjour"
+  );
+  assert.strictEqual(
+    lookupTranslation("Good morning", "en", "fr", "http"),
+    null
+  );
+  assert.strictEqual(
+    lookupTranslation("Good morning", "en", "de", "mymemory"),
+    null
+  );
+});
+
+test("human corrections win over any provider and are not overwritten", () => {
+  const entry = machine("Sale", "Vente");
+  const corrected = updateMemoryEntry(entry.id, "Soldes");
+  assert.strictEqual(corrected.origin, HUMAN);
+  assert.strictEqual(
+    lookupTranslation("Sale", "en", "fr", "libretranslate").target,
+    "Soldes"
+  );
+  machine("Sale", "Vente");
+  assert.strictEqual(
+    lookupTranslation("Sale", "en", "fr", "mymemory").target,
+    "Soldes"
+  );
+});
+
+test("entries for the base languages match regional codes", () => {
+  rememberTranslation({
+    source: "Thanks",
+    target: "Merci",
+    sourceLang: "en",
+    targetLang: "fr",
+    provider: HUMAN,
+  });
+  machine("Hello", "Salut");
+  assert.strictEqual(
+    lookupTranslation("Thanks", "en-US", "fr", "x").target,
+    "Merci"
+  );
+  assert.strictEqual(
+    lookupTranslation("Hello", "en_us", "fr-CA", "mymemory").target,
+    "Salut"
+  );
+  // an exact regional entry still comes first
+  rememberTranslation({
+    source: "Thanks",
+    target: "Merci bien",
+    sourceLang: "en-us",
+    targetLang: "fr",
+    provider: HUMAN,
+  });
+  assert.strictEqual(
+    lookupTranslation("Thanks", "en-US", "fr", "x").target,
+    "Merci bien"
+  );
+});
+
+test("deleted entries are gone, also after a reload from disk", () => {
+  const keep = machine("Yes", "Oui");
+  const drop = machine("No", "Non");
+  assert.strictEqual(deleteMemoryEntry(drop.id), true);
+  assert.strictEqual(deleteMemoryEntry(drop.id), false);
+
+  const log = fs
+    .readFileSync(
+      path.join(process.env.DATA_DIR, "translation-memory.jsonl"),
+      "utf8"
+    )
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.ok(log.some((item) => item.id === drop.id && item.deleted));
+
+  const { total, entries } = listMemoryEntries({ targetLang: "FR" });
+  assert.strictEqual(total, 1);
+  assert.strictEqual(entries[0].id, keep.id);
+});
+
+test("purgeMemory removes only the matching entries", () => {
+  machine("One", "Un");
+  machine("Two", "Deux", "libretranslate");
+  assert.strictEqual(purgeMemory({ provider: "libretranslate" }), 1);
+  assert.deepStrictEqual(
+    listMemoryEntries().entries.map((e) => e.source),
+    ["One"]
+  );
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  isErrorText,
+  classifyCue,
+  summarizeQuality,
+  combineQuality,
+} = require("../translationQuality");
+
+test("isErrorText spots engine error messages", () => {
+  assert.ok(isErrorText("PLEASE SELECT TWO DISTINCT LANGUAGES"));
+  assert.ok(isErrorText("MYMEMORY WARNING: YOU USED ALL AVAILABLE FREE"));
+  assert.ok(!isErrorText("Bonjour tout le monde"));
+  assert.ok(!isErrorText(null));
+});
+
+test("classifyCue statuses", () => {
+  assert.strictEqual(classifyCue("Hello", "Bonjour"), "translated");
+  assert.strictEqual(classifyCue("Hello  world", "hello world "), "unchanged");
+  assert.strictEqual(classifyCue("Hello", "  "), "empty");
+  assert.strictEqual(
+    classifyCue("Hello", "INVALID LANGUAGE PAIR SPECIFIED"),
+    "error"
+  );
+  // a source cue that says the message itself is compared like any other
+  assert.strictEqual(
+    classifyCue("Too many requests!", "TOO MANY REQUESTS!"),
+    "unchanged"
+  );
+  assert.strictEqual(classifyCue("♪ 1, 2, 3 ♪", "♪ 1, 2, 3 ♪"), "no-text");
+});
+
+test("classifyCue leaves glossary terms out of the comparison", () => {
+  const terms = [{ source: "Zara", target: "Zara" }];
+  assert.strictEqual(classifyCue("Zara", "Zara", terms), "translated");
+  assert.strictEqual(
+    classifyCue("Welcome to Zara", "Bienvenue chez Zara", terms),
+    "translated"
+  );
+  assert.strictEqual(
+    classifyCue("Welcome to Zara", "Welcome to Zara", terms),
+    "unchanged"
+  );
+
+  const renamed = [{ source: "Black Friday", target: "Vendredi noir" }];
+  assert.strictEqual(
+    classifyCue("Black Friday deals", "Vendredi noir deals", renamed),
+    "unchanged"
+  );
+  assert.strictEqual(
+    classifyCue("Black Friday", "Vendredi noir", renamed),
+    "translated"
+  );
+});
+
+test("summarizeQuality and combineQuality", () => {
+  const fr = summarizeQuality(
+    ["translated", "translated", "unchanged", "no-text"],
+    { fromMemory: 1 }
+  );
+  assert.deepStrictEqual(fr, {
+    cues: 4,
+    translated: 2,
+    unchanged: 1,
+    error: 0,
+    empty: 0,
+    noText: 1,
+    fromMemory: 1,
+    score: 0.667,
+    complete: false,
+  });
+  const de = summarizeQuality(["translated", "error"]);
+  assert.deepStrictEqual(summarizeQuality(["no-text"]), {
+    cues: 1,
+    translated: 0,
+    unchanged: 0,
+    error: 0,
+    empty: 0,
+    noText: 1,
+    fromMemory: 0,
+    score: 1,
+    complete: true,
+  });
+
+  assert.deepStrictEqual(combineQuality([fr, null, de]), {
+    cues: 6,
+    translated: 3,
+    unchanged: 1,
+    error: 1,
+    empty: 0,
+    noText: 1,
+    fromMemory: 1,
+    score: 0.6,
+    complete: false,
+  });
+  assert.strictEqual(combineQuality([]).complete, true);
+});
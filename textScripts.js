@@ -0,0 +1,144 @@
+// textScripts.js
+// Script-aware helpers for laying out subtitle text: scripts written without
+// spaces between words (Chinese, Japanese, Thai, ...) break between words
+// found by Intl.Segmenter, wide CJK characters count double towards line
+// length, and right-to-left text gets direction marks so players order
+// punctuation and numbers correctly.
+
+// Scripts that do not separate words with spaces
+const SPACELESS =
+  /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Thai}\p{sc=Lao}\p{sc=Khmer}\p{sc=Myanmar}\u3000-\u303f\uff01-\uff60]/u;
+// Characters that take two columns on screen
+const WIDE =
+  /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Hangul}\u3000-\u303f\uff01-\uff60\uffe0-\uffe6]/u;
+// Combining marks and invisible format characters take no room
+const ZERO_WIDTH =
+  /[\p{M}\u200b-\u200f\u202a-\u202e\u2060\u2066-\u2069\ufeff]/u;
+const RTL_LETTER =
+  /[\p{sc=Arabic}\p{sc=Hebrew}\p{sc=Thaana}\p{sc=Syriac}\p{sc=Nko}]/u;
+const LETTER = /\p{L}/u;
+// Opening brackets and quotes stay with the word after them
+const OPENING = /^[\p{Ps}\p{Pi}]+$/u;
+
+const RLM = "\u200f";
+const LRM = "\u200e";
+const DIRECTION_MARK = /^[\u200e\u200f]/;
+
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+/** On-screen width of text: wide CJK characters count 2, marks count 0 */
+function displayWidth(text) {
+  let width = 0;
+  for (const ch of String(text || "")) {
+    if (ZERO_WIDTH.test(ch)) continue;
+    width += WIDE.test(ch) ? 2 : 1;
+  }
+  return width;
+}
+
+/** What goes between two pieces of text: nothing between spaceless scripts */
+function gapBetween(left, right) {
+  const last = String(left || "").slice(-1);
+  const first = String(right || "").charAt(0);
+  return SPACELESS.test(last) && SPACELESS.test(first) ? "" : " ";
+}
+
+/** Join words (or lines) into one line with gapBetween */
+function joinTokens(tokens) {
+  return tokens
+    .map((t) => String(t || "").trim())
+    .filter(Boolean)
+    .reduce((out, t) => (out ? out + gapBetween(out, t) + t : t), "");
+}
+
+// Words of a run of spaceless-script text, with punctuation kept on the
+// word before it (or after it, for opening brackets and quotes)
+function spacelessWords(text) {
+  const words = [];
+  let pending = "";
+  for (const { segment, isWordLike } of wordSegmenter.segment(text)) {
+    if (isWordLike || !words.length) {
+      if (OPENING.test(segment)) pending += segment;
+      else {
+        words.push(pending + segment);
+        pending = "";
+      }
+    } else if (OPENING.test(segment)) pending += segment;
+    else words[words.length - 1] += segment;
+  }
+  if (pending) words.push(pending);
+  return words;
+}
+
+/**
+ * Pieces a line may break between. Each piece after the first starts with
+ * the space before it, if any, so pieces.join("") gives back the text.
+ * Spaced scripts break at spaces only; spaceless ones also between words.
+ */
+function breakUnits(text) {
+  const units = [];
+  for (const word of String(text || "")
+    .split(/\s+/)
+    .filter(Boolean)) {
+    const pieces = SPACELESS.test(word) ? spacelessWords(word) : [word];
+    pieces.forEach((piece, i) =>
+      units.push((units.length && i === 0 ? " " : "") + piece)
+    );
+  }
+  return units;
+}
+
+/** Text of a run of breakUnits pieces */
+function unitsText(units) {
+  return units.join("").trim();
+}
+
+/**
+ * "rtl" when most letters in `text` are from right-to-left scripts, "ltr"
+ * when most are not, null when there are no letters
+ */
+function textDirection(text) {
+  let rtl = 0;
+  let ltr = 0;
+  for (const ch of String(text || "")) {
+    if (RTL_LETTER.test(ch)) rtl++;
+    else if (LETTER.test(ch)) ltr++;
+  }
+  if (!rtl && !ltr) return null;
+  return rtl > ltr ? "rtl" : "ltr";
+}
+
+// Direction of the first letter of a line
+function firstStrongDirection(line) {
+  for (const ch of line) {
+    if (RTL_LETTER.test(ch)) return "rtl";
+    if (LETTER.test(ch)) return "ltr";
+  }
+  return null;
+}
+
+/**
+ * Start every line of an RTL cue with a right-to-left mark, so a line that
+ * opens with Latin text, a number or punctuation is still laid out right to
+ * left. LTR lines only get a left-to-right mark when they open with RTL text.
+ */
+function withDirectionMarks(text, direction) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => {
+      if (!line || DIRECTION_MARK.test(line)) return line;
+      if (direction === "rtl") return RLM + line;
+      return firstStrongDirection(line) === "rtl" ? LRM + line : line;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  displayWidth,
+  gapBetween,
+  joinTokens,
+  breakUnits,
+  unitsText,
+  textDirection,
+  withDirectionMarks,
+};
@@ -0,0 +1,155 @@
+// timingNormalizer.js
+// Last pass over cues before they are rendered or written: drops empty cues,
+// clamps cues to the media, resolves overlaps and enforces the minimum gap and
+// duration of the segmentation preset. Returns the fixed cues plus a report.
+const { resolveSegmentation } = require("./segmenter");
+
+// Sub-millisecond differences are float noise, not timing problems
+const EPSILON = 0.0005;
+
+const round = (t) => Math.round(t * 1000) / 1000;
+
+function roundTimes(times) {
+  if (!times) return null;
+  const r = (t) => (Number.isFinite(Number(t)) ? round(Number(t)) : null);
+  return { start: r(times.start), end: r(times.end) };
+}
+
+/**
+ * Normalize cue timing. options: { segmentation, mediaDuration } where
+ * segmentation supplies minGap/minDuration (preset name or object) and
+ * mediaDuration (seconds) bounds every cue when known.
+ * Returns { segments, report } and never mutates the input cues.
+ */
+function normalizeTiming(segments, { segmentation, mediaDuration } = {}) {
+  const { minGap, minDuration } = resolveSegmentation(segmentation);
+  const limit = Number(mediaDuration) > 0 ? Number(mediaDuration) : Infinity;
+  const report = {
+    inputCues: Array.isArray(segments) ? segments.length : 0,
+    outputCues: 0,
+    dropped: 0,
+    overlapsFixed: 0,
+    gapsFixed: 0,
+    extended: 0,
+    clamped: 0,
+    changes: [],
+  };
+  const note = (index, reason, before, after) =>
+    report.changes.push({ index, reason, before, after });
+
+  // 1) drop empty/invalid cues, clamp the rest to [0, mediaDuration]
+  const cues = [];
+  (Array.isArray(segments) ? segments : []).forEach((seg, index) => {
+    const start = Number(seg && seg.start);
+    const end = Number(seg && seg.end);
+    const text = String((seg && seg.text) || "").trim();
+    let reason = null;
+    if (!text) reason = "empty";
+    else if (!Number.isFinite(start) || !Number.isFinite(end))
+      reason = "invalid-time";
+    else if (start >= limit) reason = "after-media-end";
+    if (reason) {
+      report.dropped++;
+      note(
+        index,
+        reason,
+        seg ? { start: seg.start, end: seg.end } : null,
+        null
+      );
+      return;
+    }
+    const cue = {
+      ...seg,
+      start: Math.max(0, start),
+      end: Math.min(end, limit),
+    };
+    if (cue.start !== start || cue.end !== end) {
+      report.clamped++;
+      note(
+        index,
+        "clamped",
+        { start, end },
+        { start: cue.start, end: cue.end }
+      );
+    }
+    cues.push({ index, cue, original: { start, end } });
+  });
+  cues.sort((a, b) => a.cue.start - b.cue.start || a.index - b.index);
+
+  // 2) walk in order: end each cue minGap before the next one starts, keeping
+  // at least minDuration (or its own duration if shorter) and pushing the
+  // next cue back when there is no room
+  for (let i = 0; i < cues.length; i++) {
+    const { cue, index } = cues[i];
+    const next = cues[i + 1] && cues[i + 1].cue;
+    const wanted = Math.min(
+      minDuration,
+      Math.max(0, cues[i].original.end - cues[i].original.start)
+    );
+    if (cue.end - cue.start < wanted - EPSILON)
+      cue.end = Math.min(cue.start + wanted, limit);
+    if (!next) continue;
+
+    const latestEnd = next.start - minGap;
+    if (cue.end <= latestEnd + EPSILON) continue;
+    const before = { start: cue.start, end: cue.end };
+    const reason = cue.end > next.start + EPSILON ? "overlap" : "min-gap";
+    if (reason === "overlap") report.overlapsFixed++;
+    else report.gapsFixed++;
+
+    if (latestEnd - cue.start >= wanted - EPSILON) {
+      cue.end = latestEnd;
+    } else {
+      cue.end = cue.start + wanted;
+      const nextBefore = { start: next.start, end: next.end };
+      next.start = Math.min(cue.end + minGap, limit);
+      if (next.end < next.start) next.end = next.start;
+      note(cues[i + 1].index, `${reason}-shifted`, nextBefore, {
+        start: next.start,
+        end: next.end,
+      });
+    }
+    note(index, reason, before, { start: cue.start, end: cue.end });
+  }
+
+  // 3) lengthen cues shorter than minDuration into the following gap
+  cues.forEach(({ cue, index }, i) => {
+    const next = cues[i + 1] && cues[i + 1].cue;
+    const room = Math.min(next ? next.start - minGap : Infinity, limit);
+    const desired = Math.min(cue.start + minDuration, room);
+    if (desired > cue.end + EPSILON) {
+      report.extended++;
+      note(
+        index,
+        "min-duration",
+        { start: cue.start, end: cue.end },
+        {
+          start: cue.start,
+          end: desired,
+        }
+      );
+      cue.end = desired;
+    }
+  });
+
+  // cues that ended up with no duration at all cannot be shown
+  const out = [];
+  for (const { cue, index } of cues) {
+    if (cue.end - cue.start <= EPSILON) {
+      report.dropped++;
+      note(index, "zero-duration", { start: cue.start, end: cue.end }, null);
+      continue;
+    }
+    out.push({ ...cue, start: round(cue.start), end: round(cue.end) });
+  }
+  report.outputCues = out.length;
+  report.changes.forEach((c) => {
+    c.before = roundTimes(c.before);
+    c.after = roundTimes(c.after);
+  });
+  return { segments: out, report };
+}
+
+module.exports = {
+  normalizeTiming,
+};
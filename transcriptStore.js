@@ -0,0 +1,285 @@
+// transcriptStore.js
+// Stored transcripts, one JSON file per transcript id under DATA_DIR/transcripts.
+// Listings read a small summary of each record, cached by file mtime.
+// Cue edits are kept as immutable versions under DATA_DIR/transcript-versions;
+// the record's `segments` are always those of its latest `version`.
+const fs = require("fs");
+const path = require("path");
+const { dataDir, readJson, writeJson } = require("./jsonStore");
+
+const transcriptsDir = path.join(dataDir, "transcripts");
+if (!fs.existsSync(transcriptsDir))
+  fs.mkdirSync(transcriptsDir, { recursive: true });
+const versionsDir = path.join(dataDir, "transcript-versions");
+
+function isValidTranscriptId(id) {
+  return typeof id === "string" && /^[A-Za-z0-9_-]{1,128}$/.test(id);
+}
+
+function transcriptPath(id) {
+  if (!isValidTranscriptId(id)) throw new Error("Invalid transcript id");
+  return path.join(transcriptsDir, `${id}.json`);
+}
+
+function getTranscript(id) {
+  if (!isValidTranscriptId(id)) return null;
+  return readJson(transcriptPath(id), null);
+}
+
+/** Create or replace a transcript record */
+function saveTranscript(record) {
+  const now = new Date().toISOString();
+  const existing = getTranscript(record.id);
+  const saved = {
+    ...record,
+    createdAt: existing?.createdAt || record.createdAt || now,
+    updatedAt: now,
+  };
+  writeJson(transcriptPath(record.id), saved);
+  return saved;
+}
+
+/** Shallow-merge `patch` into an existing record; returns null if missing */
+function updateTranscript(id, patch) {
+  const existing = getTranscript(id);
+  if (!existing) return null;
+  return saveTranscript({ ...existing, ...patch, id });
+}
+
+/**
+ * Keep a translation of a transcript under `translations[lang]`:
+ * { segments, files, sourceVersion, updatedAt } where sourceVersion is the
+ * version of the cues it was made from (the current one by default).
+ * Returns null if the transcript is missing.
+ */
+function saveTranslation(id, lang, segments, files = {}, sourceVersion = null) {
+  const existing = getTranscript(id);
+  if (!existing) return null;
+  const translations = {
+    ...(existing.translations || {}),
+    [lang]: {
+      segments,
+      files,
+      sourceVersion: sourceVersion || transcriptVersion(existing),
+      updatedAt: new Date().toISOString(),
+    },
+  };
+  return updateTranscript(id, { translations });
+}
+
+/** Remove a transcript record; resolves to the removed record or null */
+function deleteTranscript(id) {
+  const existing = getTranscript(id);
+  if (!existing) return null;
+  fs.rmSync(transcriptPath(id), { force: true });
+  fs.rmSync(path.join(versionsDir, id), { recursive: true, force: true });
+  summaries.delete(id);
+  return existing;
+}
+
+// ---- versions ----
+
+function versionPath(id, version) {
+  if (!isValidTranscriptId(id)) throw new Error("Invalid transcript id");
+  return path.join(versionsDir, id, `${version}.json`);
+}
+
+function storedVersionNumbers(id) {
+  const dir = path.join(versionsDir, id);
+  if (!isValidTranscriptId(id) || !fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((name) => /^(\d+)\.json$/.exec(name))
+    .filter(Boolean)
+    .map((m) => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+// Transcripts that were never edited have one implicit version: their cues
+const originalVersion = (transcript) => ({
+  version: 1,
+  createdAt: transcript.createdAt || null,
+  operations: ["original"],
+  segments: transcript.segments || [],
+});
+
+/** Version `version` of a transcript ({ version, segments, ... }) or null */
+function getTranscriptVersion(transcript, version) {
+  const n = Number(version);
+  if (!transcript || !Number.isInteger(n) || n < 1) return null;
+  if (!storedVersionNumbers(transcript.id).length)
+    return n === 1 ? originalVersion(transcript) : null;
+  return readJson(versionPath(transcript.id, n), null);
+}
+
+/** Every version of a transcript without its cues, oldest first */
+function listTranscriptVersions(transcript) {
+  const numbers = storedVersionNumbers(transcript.id);
+  const versions = numbers.length
+    ? numbers.map((n) => readJson(versionPath(transcript.id, n), null))
+    : [originalVersion(transcript)];
+  return versions.filter(Boolean).map(({ segments, ...meta }) => ({
+    ...meta,
+    cues: Array.isArray(segments) ? segments.length : 0,
+  }));
+}
+
+/**
+ * Store `segments` as the transcript's next version (the unedited cues
+ * become version 1 first) and make them its current cues. `meta` is kept
+ * with the version: { operations, note, author, restoredFrom }.
+ * Returns the updated transcript record.
+ */
+function saveTranscriptVersion(id, segments, patch = {}, meta = {}) {
+  const existing = getTranscript(id);
+  if (!existing) return null;
+  const numbers = storedVersionNumbers(id);
+  if (!numbers.length) {
+    writeJson(versionPath(id, 1), originalVersion(existing));
+    numbers.push(1);
+  }
+  const version = numbers[numbers.length - 1] + 1;
+  // versions are immutable: never write over one
+  if (fs.existsSync(versionPath(id, version)))
+    throw new Error(`Version ${version} of ${id} already exists`);
+  writeJson(versionPath(id, version), {
+    version,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    segments,
+  });
+  return updateTranscript(id, { ...patch, segments, version });
+}
+
+/** Remove a stored version (retention only: never the latest or pinned one) */
+function deleteTranscriptVersion(transcript, version) {
+  if (
+    version === (transcript.version || 1) ||
+    version === transcript.pinnedVersion
+  )
+    throw new Error(`Version ${version} of ${transcript.id} is in use`);
+  fs.rmSync(versionPath(transcript.id, version), { force: true });
+}
+
+/** The version exports and translations use: the pinned one, else the latest */
+function transcriptVersion(transcript) {
+  return transcript.pinnedVersion || transcript.version || 1;
+}
+
+/** Cues of `version` (default: transcriptVersion), or null if it is missing */
+function transcriptSegments(transcript, version = null) {
+  const wanted = version || transcriptVersion(transcript);
+  if (wanted === (transcript.version || 1)) return transcript.segments || [];
+  const stored = getTranscriptVersion(transcript, wanted);
+  return stored ? stored.segments : null;
+}
+
+// id → { mtimeMs, summary } so listings only re-read changed records
+const summaries = new Map();
+
+/** What a listing shows of a transcript: everything but cue text and words */
+function summarizeTranscript(t) {
+  const translations = {};
+  for (const [lang, tr] of Object.entries(t.translations || {}))
+    translations[lang] = {
+      cues: Array.isArray(tr.segments) ? tr.segments.length : 0,
+      files: tr.files || {},
+      updatedAt: tr.updatedAt || null,
+    };
+  return {
+    id: t.id,
+    provider: t.provider || null,
+    owner: t.owner || null,
+    detectedLanguage: t.detectedLanguage || null,
+    targetScript: t.targetScript || null,
+    duration: t.duration || null,
+    cues: Array.isArray(t.segments) ? t.segments.length : 0,
+    version: t.version || 1,
+    pinnedVersion: t.pinnedVersion || null,
+    pinned: Boolean(t.pinned),
+    speakers: t.speakers || {},
+    sourceMedia: t.sourceMedia || null,
+    source: t.source || null,
+    files: t.files || {},
+    translations,
+    createdAt: t.createdAt || null,
+    updatedAt: t.updatedAt || null,
+  };
+}
+
+function readSummary(id) {
+  let stat;
+  try {
+    stat = fs.statSync(transcriptPath(id));
+  } catch (_) {
+    summaries.delete(id);
+    return null;
+  }
+  const cached = summaries.get(id);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.summary;
+  const record = getTranscript(id);
+  if (!record) return null;
+  const summary = summarizeTranscript(record);
+  summaries.set(id, { mtimeMs: stat.mtimeMs, summary });
+  return summary;
+}
+
+function matches(summary, filters) {
+  if (filters.owner && summary.owner !== filters.owner) return false;
+  if (filters.provider && summary.provider !== filters.provider) return false;
+  if (filters.language && summary.detectedLanguage !== filters.language)
+    return false;
+  if (filters.translatedTo && !summary.translations[filters.translatedTo])
+    return false;
+  if (filters.since && !(summary.createdAt >= filters.since)) return false;
+  if (filters.until && !(summary.createdAt < filters.until)) return false;
+  if (filters.q) {
+    const q = String(filters.q).toLowerCase();
+    const haystack = [
+      summary.id,
+      summary.sourceMedia?.url,
+      summary.source?.filename,
+      ...Object.values(summary.speakers),
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    if (!haystack.includes(q)) return false;
+  }
+  return true;
+}
+
+/**
+ * Transcript summaries matching { owner, provider, language, translatedTo,
+ * since, until, q }, newest first: { total, transcripts } for the
+ * `offset`/`limit` page. `since`/`until` are ISO timestamps on createdAt;
+ * `q` searches the id, media URL, imported filename and speaker names.
+ */
+function listTranscripts(filters = {}, { offset = 0, limit = 50 } = {}) {
+  const found = fs
+    .readdirSync(transcriptsDir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => readSummary(name.slice(0, -".json".length)))
+    .filter((summary) => summary && matches(summary, filters))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  return {
+    total: found.length,
+    transcripts: found.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  isValidTranscriptId,
+  getTranscript,
+  saveTranscript,
+  updateTranscript,
+  saveTranslation,
+  deleteTranscript,
+  listTranscripts,
+  getTranscriptVersion,
+  listTranscriptVersions,
+  saveTranscriptVersion,
+  deleteTranscriptVersion,
+  transcriptVersion,
+  transcriptSegments,
+};
@@ -0,0 +1,283 @@
+// translationMemory.js
+// Local translation memory: cue texts already translated, keyed by source
+// text, language pair and provider, checked before any provider call.
+// Stored as JSON lines in DATA_DIR/translation-memory.jsonl; every change
+// appends a line (an entry or a { id, deleted } tombstone) and the file is
+// compacted on load. Entries edited or added by people have origin "human"
+// and win over machine output of any provider for the same text and pair.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { dataDir } = require("./jsonStore");
+
+const memoryFile = path.join(dataDir, "translation-memory.jsonl");
+const HUMAN = "human";
+
+let entries = null; // id → entry
+let humanIndex = null; // text + pair → id of the newest human entry
+let logLines = 0;
+
+// Same flattening the batch translator applies to cue texts
+function normalizeText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeLang(lang) {
+  return String(lang || "auto")
+    .trim()
+    .toLowerCase();
+}
+
+// "en-US" / "en_us" → "en"
+function baseLang(lang) {
+  return normalizeLang(lang).split(/[-_]/)[0];
+}
+
+function pairKey(text, sourceLang, targetLang) {
+  return [
+    normalizeLang(sourceLang),
+    normalizeLang(targetLang),
+    normalizeText(text),
+  ].join("\u0000");
+}
+
+function entryId(text, sourceLang, targetLang, provider) {
+  return crypto
+    .createHash("sha1")
+    .update(`${provider}\u0000${pairKey(text, sourceLang, targetLang)}`)
+    .digest("hex")
+    .slice(0, 20);
+}
+
+function indexHuman(entry) {
+  const key = pairKey(entry.source, entry.sourceLang, entry.targetLang);
+  const current = humanIndex.get(key);
+  if (
+    !current ||
+    !entries.has(current) ||
+    entries.get(current).updatedAt <= entry.updatedAt
+  )
+    humanIndex.set(key, entry.id);
+}
+
+function load() {
+  if (entries) return;
+  entries = new Map();
+  humanIndex = new Map();
+  logLines = 0;
+  if (fs.existsSync(memoryFile)) {
+    for (const line of fs.readFileSync(memoryFile, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      logLines++;
+      try {
+        const item = JSON.parse(line);
+        if (item.deleted) entries.delete(item.id);
+        else entries.set(item.id, item);
+      } catch (_) {
+        // a torn last line after a crash; the rest of the log is still good
+      }
+    }
+  }
+  for (const entry of entries.values())
+    if (entry.origin === HUMAN) indexHuman(entry);
+  if (logLines > entries.size * 2 + 100) compact();
+}
+
+// Rewrite the log with only the live entries (temp file + rename)
+function compact() {
+  const tmpPath = `${memoryFile}.${process.pid}.tmp`;
+  const lines = [...entries.values()].map((e) => JSON.stringify(e));
+  fs.writeFileSync(tmpPath, lines.length ? lines.join("\n") + "\n" : "");
+  fs.renameSync(tmpPath, memoryFile);
+  logLines = lines.length;
+}
+
+function append(item) {
+  fs.appendFileSync(memoryFile, JSON.stringify(item) + "\n", "utf8");
+  logLines++;
+}
+
+function put(entry) {
+  entries.set(entry.id, entry);
+  if (entry.origin === HUMAN) indexHuman(entry);
+  append(entry);
+  return entry;
+}
+
+function remove(id) {
+  const entry = entries.get(id);
+  entries.delete(id);
+  append({ id, deleted: true });
+  if (entry && entry.origin === HUMAN) {
+    // fall back to an older correction of the same text, if any
+    const key = pairKey(entry.source, entry.sourceLang, entry.targetLang);
+    if (humanIndex.get(key) !== id) return;
+    humanIndex.delete(key);
+    for (const other of entries.values())
+      if (
+        other.origin === HUMAN &&
+        pairKey(other.source, other.sourceLang, other.targetLang) === key
+      )
+        indexHuman(other);
+  }
+}
+
+/**
+ * Remembered translation of `text` for the pair: a human entry first, else
+ * the machine entry of `provider`. Entries stored for the base languages
+ * ("en" for "en-US") count when the exact pair has none. Returns the entry
+ * or null.
+ */
+function lookupTranslation(text, sourceLang, targetLang, provider) {
+  load();
+  if (!normalizeText(text)) return null;
+  const pairs = [[sourceLang, targetLang]];
+  if (
+    baseLang(sourceLang) !== normalizeLang(sourceLang) ||
+    baseLang(targetLang) !== normalizeLang(targetLang)
+  )
+    pairs.push([baseLang(sourceLang), baseLang(targetLang)]);
+  for (const [src, tgt] of pairs) {
+    const humanId = humanIndex.get(pairKey(text, src, tgt));
+    if (humanId && entries.has(humanId)) return entries.get(humanId);
+  }
+  for (const [src, tgt] of pairs) {
+    const entry = entries.get(entryId(text, src, tgt, provider));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Store a translation. `provider` "human" (or origin "human") marks a
+ * correction, which takes priority over machine output for the same pair.
+ */
+function rememberTranslation({
+  source,
+  target,
+  sourceLang,
+  targetLang,
+  provider,
+  origin = null,
+}) {
+  load();
+  const text = normalizeText(source);
+  const translated = normalizeText(target);
+  if (!text || !translated) throw new Error("source and target text required");
+  if (!targetLang) throw new Error("targetLang required");
+  const kind = origin === HUMAN || provider === HUMAN ? HUMAN : "machine";
+  const providerName = String(provider || HUMAN).toLowerCase();
+  const id = entryId(text, sourceLang, targetLang, providerName);
+  const existing = entries.get(id);
+  // never let machine output overwrite a correction made to that entry
+  if (existing && existing.origin === HUMAN && kind !== HUMAN) return existing;
+  const now = new Date().toISOString();
+  return put({
+    id,
+    source: text,
+    target: translated,
+    sourceLang: normalizeLang(sourceLang),
+    targetLang: normalizeLang(targetLang),
+    provider: providerName,
+    origin: kind,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  });
+}
+
+function getMemoryEntry(id) {
+  load();
+  return entries.get(String(id)) || null;
+}
+
+/** Replace an entry's translation; edited entries become human corrections */
+function updateMemoryEntry(id, target) {
+  load();
+  const existing = entries.get(String(id));
+  if (!existing) return null;
+  const translated = normalizeText(target);
+  if (!translated) throw new Error("target text required");
+  return put({
+    ...existing,
+    target: translated,
+    origin: HUMAN,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+function deleteMemoryEntry(id) {
+  load();
+  if (!entries.has(String(id))) return false;
+  remove(String(id));
+  return true;
+}
+
+function matches(entry, filters) {
+  if (
+    filters.sourceLang &&
+    entry.sourceLang !== normalizeLang(filters.sourceLang)
+  )
+    return false;
+  if (
+    filters.targetLang &&
+    entry.targetLang !== normalizeLang(filters.targetLang)
+  )
+    return false;
+  if (
+    filters.provider &&
+    entry.provider !== String(filters.provider).toLowerCase()
+  )
+    return false;
+  if (filters.origin && entry.origin !== filters.origin) return false;
+  if (filters.q) {
+    const q = String(filters.q).toLowerCase();
+    if (
+      !entry.source.toLowerCase().includes(q) &&
+      !entry.target.toLowerCase().includes(q)
+    )
+      return false;
+  }
+  return true;
+}
+
+/**
+ * Entries matching { sourceLang, targetLang, provider, origin, q }, newest
+ * first: { total, entries } for the `offset`/`limit` page.
+ */
+function listMemoryEntries(filters = {}, { offset = 0, limit = 100 } = {}) {
+  load();
+  const found = [...entries.values()]
+    .filter((e) => matches(e, filters))
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  return {
+    total: found.length,
+    entries: found.slice(offset, offset + limit),
+  };
+}
+
+/** Delete every entry matching `filters`; returns how many were removed */
+function purgeMemory(filters = {}) {
+  load();
+  const doomed = [...entries.values()].filter((e) => matches(e, filters));
+  if (doomed.length === entries.size) {
+    entries.clear();
+    humanIndex.clear();
+    compact();
+    return doomed.length;
+  }
+  doomed.forEach((e) => remove(e.id));
+  return doomed.length;
+}
+
+module.exports = {
+  HUMAN,
+  lookupTranslation,
+  rememberTranslation,
+  getMemoryEntry,
+  updateMemoryEntry,
+  deleteMemoryEntry,
+  listMemoryEntries,
+  purgeMemory,
+};
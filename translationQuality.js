@@ -0,0 +1,104 @@
+// translationQuality.js
+// Spots cues a provider did not really translate: output identical to the
+// source (every engine failed and the original came back) or an engine's
+// error message returned in place of a translation.
+
+// Error texts engines hand back as if they were translations
+const ERROR_PATTERNS = [
+  /PLEASE SELECT TWO DISTINCT LANGUAGES/i,
+  /MYMEMORY WARNING/i,
+  /YOU USED ALL AVAILABLE FREE TRANSLATIONS/i,
+  /QUERY LENGTH LIMIT EXCEEDED/i,
+  /INVALID LANGUAGE PAIR/i,
+  /IS AN INVALID (SOURCE|TARGET) LANGUAGE/i,
+  /NO QUERY SPECIFIED/i,
+  /TOO MANY REQUESTS/i,
+];
+
+function isErrorText(text) {
+  return ERROR_PATTERNS.some((re) => re.test(String(text || "")));
+}
+
+const flatten = (text) =>
+  String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+// Flattened text with every occurrence of `phrases` taken out
+function without(text, phrases) {
+  let out = flatten(text);
+  for (const phrase of phrases.map(flatten).filter(Boolean))
+    out = out.split(phrase).join(" ");
+  return out.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Status of one translated cue: "translated", "unchanged" (same as the
+ * source), "error" (an engine error message), "empty" or "no-text" (the
+ * source has no letters, e.g. "♪" or "1, 2, 3", so there is nothing to do).
+ * `terms` are the glossary terms of the cue ([{ source, target }], see
+ * glossaries.js maskTerms); they are left out of the comparison, and a cue
+ * made only of such terms counts as translated.
+ */
+function classifyCue(source, output, terms = []) {
+  if (!/\p{L}/u.test(String(source || ""))) return "no-text";
+  if (!flatten(output)) return "empty";
+  if (isErrorText(output) && !isErrorText(source)) return "error";
+  const sources = terms.map((t) => t.source);
+  const targets = terms.map((t) => t.target);
+  const rest = without(source, sources);
+  if (!/\p{L}/u.test(rest)) return "translated";
+  if (without(output, targets) === rest) return "unchanged";
+  return "translated";
+}
+
+/**
+ * Summary over cue statuses: counts per status plus `score`, the share of
+ * cues with text that were translated, and `complete` when all of them were.
+ */
+function summarizeQuality(statuses, { fromMemory = 0 } = {}) {
+  const counts = { translated: 0, unchanged: 0, error: 0, empty: 0 };
+  let noText = 0;
+  for (const status of statuses) {
+    if (status === "no-text") noText++;
+    else counts[status] = (counts[status] || 0) + 1;
+  }
+  const withText = statuses.length - noText;
+  return {
+    cues: statuses.length,
+    ...counts,
+    noText,
+    fromMemory,
+    score: withText ? Number((counts.translated / withText).toFixed(3)) : 1,
+    complete: counts.translated === withText,
+  };
+}
+
+/** One summary over several targets' summaries (null entries are skipped) */
+function combineQuality(summaries) {
+  const total = {
+    cues: 0,
+    translated: 0,
+    unchanged: 0,
+    error: 0,
+    empty: 0,
+    noText: 0,
+    fromMemory: 0,
+  };
+  for (const summary of summaries.filter(Boolean))
+    for (const key of Object.keys(total)) total[key] += summary[key] || 0;
+  const withText = total.cues - total.noText;
+  return {
+    ...total,
+    score: withText ? Number((total.translated / withText).toFixed(3)) : 1,
+    complete: total.translated === withText,
+  };
+}
+
+module.exports = {
+  isErrorText,
+  classifyCue,
+  summarizeQuality,
+  combineQuality,
+};
@@ -0,0 +1,858 @@
+// transliteration.js
+// Offline, rule-based transliteration of subtitle text between Latin and
+// Devanagari, Arabic or Cyrillic script: "नमस्ते" ↔ "namaste" for readers of
+// romanized Hindi, "Привет" ↔ "Privet", "شكرا" ↔ "shkra". Only runs of text in
+// another script than the target are converted, so code-switched cues keep
+// the words that are already in the target script.
+//
+// Romanization follows the informal spellings viewers type (Hinglish "aa",
+// "ee", "sh", dropped final schwa) rather than a scholarly scheme. Arabic
+// short vowels only come out when the text carries harakat.
+
+const LATIN_WORD = /[A-Za-z\u00c0-\u024f]+/g;
+
+// ------------------------------------------------------------------ Devanagari
+
+const DEVA_CONSONANTS = {
+  क: "k",
+  ख: "kh",
+  ग: "g",
+  घ: "gh",
+  ङ: "n",
+  च: "ch",
+  छ: "chh",
+  ज: "j",
+  झ: "jh",
+  ञ: "n",
+  ट: "t",
+  ठ: "th",
+  ड: "d",
+  ढ: "dh",
+  ण: "n",
+  त: "t",
+  थ: "th",
+  द: "d",
+  ध: "dh",
+  न: "n",
+  प: "p",
+  फ: "ph",
+  ब: "b",
+  भ: "bh",
+  म: "m",
+  य: "y",
+  र: "r",
+  ल: "l",
+  ळ: "l",
+  व: "v",
+  श: "sh",
+  ष: "sh",
+  स: "s",
+  ह: "h",
+  क़: "q",
+  ख़: "kh",
+  ग़: "gh",
+  ज़: "z",
+  ड़: "r",
+  ढ़: "rh",
+  फ़: "f",
+  य़: "y",
+};
+// consonant + nukta → the precomposed letter above
+const NUKTA_FORMS = {
+  क: "क़",
+  ख: "ख़",
+  ग: "ग़",
+  ज: "ज़",
+  ड: "ड़",
+  ढ: "ढ़",
+  फ: "फ़",
+  य: "य़",
+};
+const DEVA_VOWELS = {
+  अ: "a",
+  आ: "aa",
+  इ: "i",
+  ई: "ee",
+  उ: "u",
+  ऊ: "oo",
+  ऋ: "ri",
+  ए: "e",
+  ऐ: "ai",
+  ओ: "o",
+  औ: "au",
+  ऑ: "o",
+  ऍ: "e",
+  ॠ: "ri",
+};
+const DEVA_MATRAS = {
+  "ा": "aa",
+  "ि": "i",
+  "ी": "ee",
+  "ु": "u",
+  "ू": "oo",
+  "ृ": "ri",
+  "ॄ": "ri",
+  "े": "e",
+  "ै": "ai",
+  "ो": "o",
+  "ौ": "au",
+  "ॉ": "o",
+  "ॅ": "e",
+};
+// long vowels are written short at the end of a word ("pani", "kya", "tu")
+const FINAL_SHORT = { aa: "a", ee: "i", oo: "u" };
+const VIRAMA = "्";
+const NUKTA = "़";
+const NASALS = ["ं", "ँ"];
+const DEVA_DIGITS = "०१२३४५६७८९";
+
+// Devanagari word → units: { consonant, vowel, inherent } or { text }
+function devanagariUnits(word) {
+  const units = [];
+  // NFC keeps क़ etc. as consonant + nukta
+  const chars = [...word.normalize("NFC")];
+  for (let i = 0; i < chars.length; i++) {
+    let ch = chars[i];
+    const last = units[units.length - 1];
+    if (chars[i + 1] === NUKTA && NUKTA_FORMS[ch]) {
+      ch = NUKTA_FORMS[ch];
+      i++;
+    }
+    if (DEVA_CONSONANTS[ch] !== undefined) {
+      // ज्ञ reads "gy" (gyaan)
+      if (ch === "ञ" && last && last.char === "ज" && last.vowel === "") {
+        last.consonant = "g";
+        units.push({ char: ch, consonant: "y", vowel: "a", inherent: true });
+      } else
+        units.push({
+          char: ch,
+          consonant: DEVA_CONSONANTS[ch],
+          vowel: "a",
+          inherent: true,
+        });
+    } else if (DEVA_MATRAS[ch] && last && last.consonant) {
+      last.vowel = DEVA_MATRAS[ch];
+      last.inherent = false;
+    } else if (ch === VIRAMA && last && last.consonant) {
+      last.vowel = "";
+      last.inherent = false;
+    } else if (DEVA_VOWELS[ch]) {
+      units.push({ vowel: DEVA_VOWELS[ch] });
+    } else if (NASALS.includes(ch)) {
+      units.push({ nasal: true });
+    } else if (ch === "ः") {
+      units.push({ text: "h" });
+    } else if (DEVA_DIGITS.includes(ch)) {
+      units.push({ text: String(DEVA_DIGITS.indexOf(ch)) });
+    } else if (ch === "।" || ch === "॥") {
+      units.push({ text: "." });
+    } else if (!/[\u200c\u200d\u093d]/.test(ch)) {
+      units.push({ text: ch });
+    }
+  }
+  return units;
+}
+
+const sounds = (unit) =>
+  unit && (unit.vowel !== undefined ? unit.vowel !== "" : false);
+
+// Hindi drops the inherent "a" at the end of a word and in V C a C V
+// (समझना → samajhna, बचपन → bachpan); scanned right to left
+function deleteSchwas(units) {
+  const letters = units.filter((u) => u.consonant || u.vowel !== undefined);
+  const lastLetter = letters[letters.length - 1];
+  if (letters.length > 1 && lastLetter.consonant && lastLetter.inherent)
+    lastLetter.vowel = "";
+  for (let i = units.length - 2; i > 0; i--) {
+    const unit = units[i];
+    if (!unit.consonant || !unit.inherent || !unit.vowel) continue;
+    const next = units[i + 1];
+    const prev = units[i - 1];
+    if (next.consonant && sounds(next) && sounds(prev)) unit.vowel = "";
+  }
+}
+
+function romanizeDevanagari(word) {
+  const units = devanagariUnits(word);
+  deleteSchwas(units);
+  const last = [...units].reverse().find((u) => u.text === undefined);
+  return units
+    .map((unit, i) => {
+      if (unit.text !== undefined) return unit.text;
+      if (unit.nasal) {
+        const next = units[i + 1];
+        return next && /^[pbm]/.test(next.consonant || "") ? "m" : "n";
+      }
+      let vowel = unit.vowel;
+      if (unit === last && i > 0 && FINAL_SHORT[vowel])
+        vowel = FINAL_SHORT[vowel];
+      return (unit.consonant || "") + vowel;
+    })
+    .join("");
+}
+
+const LATIN_TO_DEVA_CONSONANTS = [
+  ["chh", "छ"],
+  ["ksh", "क्ष"],
+  ["kh", "ख"],
+  ["gh", "घ"],
+  ["ch", "च"],
+  ["jh", "झ"],
+  ["th", "थ"],
+  ["dh", "ध"],
+  ["ph", "फ"],
+  ["bh", "भ"],
+  ["sh", "श"],
+  ["k", "क"],
+  ["g", "ग"],
+  ["c", "क"],
+  ["j", "ज"],
+  ["t", "त"],
+  ["d", "द"],
+  ["n", "न"],
+  ["p", "प"],
+  ["f", "फ़"],
+  ["b", "ब"],
+  ["m", "म"],
+  ["y", "य"],
+  ["r", "र"],
+  ["l", "ल"],
+  ["v", "व"],
+  ["w", "व"],
+  ["s", "स"],
+  ["h", "ह"],
+  ["z", "ज़"],
+  ["q", "क़"],
+  ["x", "क्स"],
+];
+// [latin, independent vowel, matra]
+const LATIN_TO_DEVA_VOWELS = [
+  ["aa", "आ", "ा"],
+  ["ai", "ऐ", "ै"],
+  ["au", "औ", "ौ"],
+  ["ee", "ई", "ी"],
+  ["ii", "ई", "ी"],
+  ["oo", "ऊ", "ू"],
+  ["uu", "ऊ", "ू"],
+  ["a", "अ", ""],
+  ["i", "इ", "ि"],
+  ["u", "उ", "ु"],
+  ["e", "ए", "े"],
+  ["o", "ओ", "ो"],
+];
+
+function matchPrefix(table, word, pos) {
+  return table.find(([latin]) => word.startsWith(latin, pos)) || null;
+}
+
+// Latin word → tokens { consonant: [latin, deva] } / { vowel: [...] }
+function latinTokens(word, consonants, vowels) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < word.length) {
+    const vowel = matchPrefix(vowels, word, pos);
+    const consonant = vowel ? null : matchPrefix(consonants, word, pos);
+    const match = vowel || consonant;
+    if (!match) {
+      tokens.push({ text: word[pos++] });
+      continue;
+    }
+    tokens.push(vowel ? { vowel } : { consonant });
+    pos += match[0].length;
+  }
+  return tokens;
+}
+
+function devanagariFromLatin(word) {
+  const tokens = latinTokens(
+    word.toLowerCase(),
+    LATIN_TO_DEVA_CONSONANTS,
+    LATIN_TO_DEVA_VOWELS
+  );
+  let out = "";
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (token.text) {
+      out += token.text;
+    } else if (token.vowel) {
+      const [latin, independent, matra] = token.vowel;
+      if (!prev || !prev.consonant) out += independent;
+      // a final "a" is usually long: "kya", "raja"
+      else if (latin === "a" && !next) out += "ा";
+      else if (latin === "i" && !next) out += "ी";
+      else out += matra;
+    } else {
+      const [latin, deva] = token.consonant;
+      // n/m between a vowel and a consonant is written as anusvara, and so
+      // is a nasalised ending: "hain", "hoon", "nahin"
+      const nasalEnd =
+        latin === "n" &&
+        !next &&
+        prev &&
+        prev.vowel &&
+        ["ai", "ee", "ii", "oo"].includes(prev.vowel[0]);
+      if (
+        ((latin === "n" || latin === "m") &&
+          prev &&
+          prev.vowel &&
+          next &&
+          next.consonant) ||
+        nasalEnd
+      )
+        out += "ं";
+      else out += deva + (next && next.consonant ? "्" : "");
+    }
+  });
+  return out;
+}
+
+// --------------------------------------------------------------------- Arabic
+
+const ARABIC_LETTERS = {
+  ب: "b",
+  ت: "t",
+  ث: "th",
+  ج: "j",
+  ح: "h",
+  خ: "kh",
+  د: "d",
+  ذ: "dh",
+  ر: "r",
+  ز: "z",
+  س: "s",
+  ش: "sh",
+  ص: "s",
+  ض: "d",
+  ط: "t",
+  ظ: "z",
+  ع: "'",
+  غ: "gh",
+  ف: "f",
+  ق: "q",
+  ك: "k",
+  ل: "l",
+  م: "m",
+  ن: "n",
+  ه: "h",
+  ء: "'",
+  ؤ: "'",
+  ئ: "'",
+  ة: "a",
+  ى: "a",
+  أ: "a",
+  إ: "i",
+  آ: "aa",
+  // Persian, Urdu, Pashto, Sindhi
+  پ: "p",
+  چ: "ch",
+  ژ: "zh",
+  گ: "g",
+  ک: "k",
+  ٹ: "t",
+  ڈ: "d",
+  ڑ: "r",
+  ں: "n",
+  ھ: "h",
+  ہ: "h",
+  ۃ: "a",
+  ے: "e",
+  ۓ: "e",
+};
+const ARABIC_HARAKAT = {
+  "َ": "a",
+  "ِ": "i",
+  "ُ": "u",
+  "ً": "an",
+  "ٍ": "in",
+  "ٌ": "un",
+  "ٰ": "a",
+};
+const SHADDA = "ّ";
+const ARABIC_PUNCTUATION = { "،": ",", "؛": ";", "؟": "?", "٪": "%" };
+const ARABIC_DIGITS = ["٠١٢٣٤٥٦٧٨٩", "۰۱۲۳۴۵۶۷۸۹"];
+// Languages written with the Persian letter forms
+const PERSO_ARABIC = ["fa", "ur", "ps", "sd", "ku"];
+
+const isArabicLetter = (ch) =>
+  Boolean(ch) && (ARABIC_LETTERS[ch] !== undefined || /[اويیۍې]/.test(ch));
+
+function romanizeArabic(word, language) {
+  const chars = [...word.replace(/[\u0640\u200c]/g, "")];
+  const vowelO = ["ur", "ps", "sd"].includes(language) ? "o" : "u";
+  let out = "";
+  let i = 0;
+  // the definite article ال
+  if (chars[0] === "ا" && chars[1] === "ل" && chars.length > 3) {
+    out = "al-";
+    i = 2;
+  }
+  for (; i < chars.length; i++) {
+    const ch = chars[i];
+    const prev = i > 0 ? chars[i - 1] : null;
+    const next = chars[i + 1];
+    const afterLetter = isArabicLetter(prev) && !(i === 2 && out === "al-");
+    const beforeLetter = isArabicLetter(next);
+    if (ch === SHADDA) out += out.slice(-1);
+    else if (ch === "ً" && /[اى]/.test(next || "")) {
+      // tanween before a seat alif: "shukran"
+      out += "an";
+      i++;
+    } else if (ARABIC_HARAKAT[ch]) out += ARABIC_HARAKAT[ch];
+    else if (ch === "ْ") continue;
+    else if (ch === "ا") out += "a";
+    else if (ch === "و")
+      out += afterLetter && !/[اوي]/.test(next || "") ? vowelO : "w";
+    else if (/[يیۍې]/.test(ch)) out += afterLetter || !beforeLetter ? "i" : "y";
+    else if (ARABIC_LETTERS[ch] !== undefined) out += ARABIC_LETTERS[ch];
+    else if (ARABIC_PUNCTUATION[ch]) out += ARABIC_PUNCTUATION[ch];
+    else {
+      const digit = ARABIC_DIGITS.map((d) => d.indexOf(ch)).find((d) => d >= 0);
+      out += digit !== undefined ? String(digit) : ch;
+    }
+  }
+  return out;
+}
+
+function arabicFromLatin(word, language) {
+  const perso = PERSO_ARABIC.includes(language);
+  const consonants = [
+    ["sh", "ش"],
+    ["kh", "خ"],
+    ["gh", "غ"],
+    ["th", "ث"],
+    ["dh", "ذ"],
+    ["ch", perso ? "چ" : "تش"],
+    ["zh", perso ? "ژ" : "ج"],
+    ["b", "ب"],
+    ["p", perso ? "پ" : "ب"],
+    ["t", "ت"],
+    ["j", "ج"],
+    ["h", language === "ur" ? "ہ" : "ه"],
+    ["d", "د"],
+    ["r", "ر"],
+    ["z", "ز"],
+    ["s", "س"],
+    ["f", "ف"],
+    ["q", "ق"],
+    ["k", perso ? "ک" : "ك"],
+    ["c", perso ? "ک" : "ك"],
+    ["g", perso ? "گ" : "غ"],
+    ["l", "ل"],
+    ["m", "م"],
+    ["n", "ن"],
+    ["w", "و"],
+    ["v", perso ? "و" : "ف"],
+    ["y", perso ? "ی" : "ي"],
+    ["x", perso ? "کس" : "كس"],
+  ];
+  const yeh = perso ? "ی" : "ي";
+  // [latin, at the start of a word, inside a word]; short "a" is not written
+  const vowels = [
+    ["aa", "آ", "ا"],
+    ["ai", "ای", yeh],
+    ["au", "او", "و"],
+    ["ee", "ای", yeh],
+    ["ii", "ای", yeh],
+    ["oo", "او", "و"],
+    ["uu", "او", "و"],
+    ["a", "ا", ""],
+    ["i", "ا", yeh],
+    ["u", "ا", "و"],
+    ["e", "ا", language === "ur" ? "ے" : yeh],
+    ["o", "ا", "و"],
+  ];
+  const tokens = latinTokens(word.toLowerCase(), consonants, vowels);
+  return tokens
+    .map((token, i) => {
+      if (token.text) return token.text;
+      if (token.consonant) return token.consonant[1];
+      const [latin, initial, medial] = token.vowel;
+      if (i === 0) return initial;
+      if (latin === "a" && i === tokens.length - 1) return "ا";
+      return medial;
+    })
+    .join("");
+}
+
+// ------------------------------------------------------------------- Cyrillic
+
+const CYRILLIC = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "yo",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  і: "i",
+  ї: "yi",
+  є: "ye",
+  ґ: "g",
+  ў: "w",
+  ђ: "dj",
+  ј: "j",
+  љ: "lj",
+  њ: "nj",
+  ћ: "c",
+  џ: "dz",
+  ѓ: "gj",
+  ќ: "kj",
+  ѕ: "dz",
+  ә: "a",
+  ғ: "gh",
+  қ: "q",
+  ң: "ng",
+  ө: "o",
+  ұ: "u",
+  ү: "u",
+  һ: "h",
+};
+const CYRILLIC_BY_LANGUAGE = {
+  uk: { г: "h", и: "y", й: "y", щ: "shch" },
+  be: { г: "h" },
+  bg: { щ: "sht", ъ: "a", ь: "y" },
+};
+const CYRILLIC_VOWELS = /[аеёиоуыэюяіїєәөұү]/;
+// languages where е is always "e"
+const PLAIN_E = ["uk", "bg", "sr", "mk"];
+
+function romanizeCyrillic(word, language) {
+  const table = { ...CYRILLIC, ...(CYRILLIC_BY_LANGUAGE[language] || {}) };
+  const chars = [...word];
+  return chars
+    .map((ch, i) => {
+      const lower = ch.toLowerCase();
+      let latin = table[lower];
+      if (latin === undefined) return ch;
+      // Russian е is "ye" at the start of a word and after a vowel
+      const prev = (chars[i - 1] || "").toLowerCase();
+      if (
+        lower === "е" &&
+        !PLAIN_E.includes(language) &&
+        (!prev || CYRILLIC_VOWELS.test(prev) || /[ъь]/.test(prev))
+      )
+        latin = "ye";
+      if (ch === lower || !latin) return latin;
+      // "Жук" → "Zhuk", "ЖУК" → "ZHUK"
+      const next = chars[i + 1] || "";
+      return next && next !== next.toLowerCase()
+        ? latin.toUpperCase()
+        : latin[0].toUpperCase() + latin.slice(1);
+    })
+    .join("");
+}
+
+const LATIN_TO_CYRILLIC = {
+  ru: [
+    ["shch", "щ"],
+    ["zh", "ж"],
+    ["kh", "х"],
+    ["ts", "ц"],
+    ["ch", "ч"],
+    ["sh", "ш"],
+    ["yu", "ю"],
+    ["ya", "я"],
+    ["yo", "ё"],
+    ["ye", "е"],
+    ["a", "а"],
+    ["b", "б"],
+    ["v", "в"],
+    ["g", "г"],
+    ["d", "д"],
+    ["e", "е"],
+    ["z", "з"],
+    ["i", "и"],
+    ["k", "к"],
+    ["l", "л"],
+    ["m", "м"],
+    ["n", "н"],
+    ["o", "о"],
+    ["p", "п"],
+    ["r", "р"],
+    ["s", "с"],
+    ["t", "т"],
+    ["u", "у"],
+    ["f", "ф"],
+    ["h", "х"],
+    ["c", "к"],
+    ["w", "в"],
+    ["x", "кс"],
+    ["q", "к"],
+    ["j", "дж"],
+    ["'", "ь"],
+  ],
+  uk: [
+    ["shch", "щ"],
+    ["zh", "ж"],
+    ["kh", "х"],
+    ["ts", "ц"],
+    ["ch", "ч"],
+    ["sh", "ш"],
+    ["yu", "ю"],
+    ["ya", "я"],
+    ["ye", "є"],
+    ["yi", "ї"],
+    ["a", "а"],
+    ["b", "б"],
+    ["v", "в"],
+    ["h", "г"],
+    ["g", "ґ"],
+    ["d", "д"],
+    ["e", "е"],
+    ["z", "з"],
+    ["y", "и"],
+    ["i", "і"],
+    ["k", "к"],
+    ["l", "л"],
+    ["m", "м"],
+    ["n", "н"],
+    ["o", "о"],
+    ["p", "п"],
+    ["r", "р"],
+    ["s", "с"],
+    ["t", "т"],
+    ["u", "у"],
+    ["f", "ф"],
+    ["c", "ц"],
+    ["w", "в"],
+    ["x", "кс"],
+    ["q", "к"],
+    ["j", "й"],
+    ["'", "ь"],
+  ],
+  // Serbian Latin (Gaj) maps one to one onto Serbian Cyrillic
+  sr: [
+    ["dž", "џ"],
+    ["lj", "љ"],
+    ["nj", "њ"],
+    ["dj", "ђ"],
+    ["đ", "ђ"],
+    ["zh", "ж"],
+    ["ch", "ч"],
+    ["sh", "ш"],
+    ["č", "ч"],
+    ["ć", "ћ"],
+    ["š", "ш"],
+    ["ž", "ж"],
+    ["a", "а"],
+    ["b", "б"],
+    ["v", "в"],
+    ["g", "г"],
+    ["d", "д"],
+    ["e", "е"],
+    ["z", "з"],
+    ["i", "и"],
+    ["j", "ј"],
+    ["k", "к"],
+    ["l", "л"],
+    ["m", "м"],
+    ["n", "н"],
+    ["o", "о"],
+    ["p", "п"],
+    ["r", "р"],
+    ["s", "с"],
+    ["t", "т"],
+    ["u", "у"],
+    ["f", "ф"],
+    ["h", "х"],
+    ["c", "ц"],
+  ],
+};
+
+function cyrillicFromLatin(word, language) {
+  const table = LATIN_TO_CYRILLIC[language] || LATIN_TO_CYRILLIC.ru;
+  const lower = word.toLowerCase();
+  let out = "";
+  let pos = 0;
+  while (pos < lower.length) {
+    const match = matchPrefix(table, lower, pos);
+    let cyr = match ? match[1] : lower[pos];
+    const length = match ? match[0].length : 1;
+    // Russian "y": ы after a consonant, й elsewhere; "e" opening a word: э
+    if (!match && lower[pos] === "y" && table === LATIN_TO_CYRILLIC.ru)
+      cyr = pos > 0 && !/[aeiouy]/.test(lower[pos - 1]) ? "ы" : "й";
+    if (
+      match &&
+      match[0] === "e" &&
+      pos === 0 &&
+      table === LATIN_TO_CYRILLIC.ru
+    )
+      cyr = "э";
+    // keep capitals: "Privet" → "Привет"
+    if (word[pos] !== lower[pos]) cyr = cyr[0].toUpperCase() + cyr.slice(1);
+    out += cyr;
+    pos += length;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Scripts text can be transliterated from and to. `pattern` finds runs in
+ * the script; `toLatin` / `fromLatin` convert a run (a word) given the
+ * track's base language code.
+ */
+const SCRIPTS = {
+  Latn: { name: "Latin", direction: "ltr" },
+  Deva: {
+    name: "Devanagari",
+    direction: "ltr",
+    pattern: /[\u0900-\u097f]+/g,
+    toLatin: romanizeDevanagari,
+    fromLatin: devanagariFromLatin,
+  },
+  Arab: {
+    name: "Arabic",
+    direction: "rtl",
+    pattern: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufefe\u200c]+/g,
+    toLatin: romanizeArabic,
+    fromLatin: arabicFromLatin,
+  },
+  Cyrl: {
+    name: "Cyrillic",
+    direction: "ltr",
+    pattern: /[\u0400-\u04ff]+/g,
+    toLatin: romanizeCyrillic,
+    fromLatin: cyrillicFromLatin,
+  },
+};
+
+const SCRIPT_ALIASES = {
+  latin: "Latn",
+  roman: "Latn",
+  romanized: "Latn",
+  devanagari: "Deva",
+  arabic: "Arab",
+  cyrillic: "Cyrl",
+};
+
+function listScripts() {
+  return Object.entries(SCRIPTS).map(([code, s]) => ({
+    code,
+    name: s.name,
+    direction: s.direction,
+  }));
+}
+
+/**
+ * Normalize a `targetScript` option ("Latn", "latin", "devanagari", ...) to
+ * its ISO 15924 code; null when empty. Throws on scripts we cannot produce.
+ */
+function parseTargetScript(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  const key = raw.toLowerCase();
+  const code = Object.hasOwn(SCRIPT_ALIASES, key)
+    ? SCRIPT_ALIASES[key]
+    : Object.keys(SCRIPTS).find((c) => c.toLowerCase() === key);
+  if (!code) throw new Error(`Unsupported targetScript: ${raw}`);
+  return code;
+}
+
+function scriptDirection(script) {
+  return Object.hasOwn(SCRIPTS, script) ? SCRIPTS[script].direction : "ltr";
+}
+
+// Runs of text that start a sentence get a capital once romanized
+function startsSentence(text, offset) {
+  return /(^\s*|[.!?।॥؟]\s+)$/.test(text.slice(0, offset));
+}
+
+/**
+ * Rewrite `text` in `targetScript` (an ISO 15924 code from
+ * parseTargetScript). `language` picks regional letters (Urdu, Ukrainian,
+ * Serbian, ...). Text in other non-Latin scripts goes through Latin first.
+ * Romanized caseless scripts get a capital at the start of each sentence
+ * unless `sentenceCase` is false.
+ */
+function transliterate(
+  text,
+  targetScript,
+  { language = null, sentenceCase = true } = {}
+) {
+  if (!Object.hasOwn(SCRIPTS, targetScript)) return String(text || "");
+  const target = SCRIPTS[targetScript];
+  const lang = language
+    ? String(language).split(/[-_]/)[0].toLowerCase()
+    : null;
+  let out = String(text || "");
+  for (const [code, script] of Object.entries(SCRIPTS)) {
+    if (code === targetScript || !script.pattern) continue;
+    out = out.replace(script.pattern, (run, offset, whole) => {
+      const latin = script.toLatin(run, lang);
+      if (code === "Cyrl" || !sentenceCase || !startsSentence(whole, offset))
+        return latin;
+      return latin.charAt(0).toUpperCase() + latin.slice(1);
+    });
+  }
+  if (targetScript === "Latn") return out;
+
+  out = out.replace(LATIN_WORD, (word) => target.fromLatin(word, lang));
+  if (targetScript === "Arab")
+    out = out
+      .replace(/,(?=\s|$)/g, "،")
+      .replace(/;(?=\s|$)/g, "؛")
+      .replace(/\?/g, "؟");
+  if (targetScript === "Deva")
+    out = out.replace(/([\u0900-\u097f])\.(?=\s|$)/g, "$1।");
+  return out;
+}
+
+/**
+ * Segments with their text (and per-word text, so word timing still lines
+ * up) in `targetScript`; segments are returned unchanged without a script
+ */
+function transliterateSegments(segments, targetScript, options = {}) {
+  if (!targetScript) return segments;
+  return (Array.isArray(segments) ? segments : []).map((seg) => {
+    const out = {
+      ...seg,
+      text: transliterate(seg.text, targetScript, options),
+    };
+    if (Array.isArray(seg.words))
+      out.words = seg.words.map((w) => ({
+        ...w,
+        text: transliterate(w.text, targetScript, {
+          ...options,
+          sentenceCase: false,
+        }),
+      }));
+    return out;
+  });
+}
+
+module.exports = {
+  listScripts,
+  parseTargetScript,
+  scriptDirection,
+  transliterate,
+  transliterateSegments,
+};